@@ -0,0 +1,141 @@
+'use strict'
+
+const debug = require('debug')('vesper-lib:allowances')
+const erc20Abi = require('erc-20-abi')
+const pTap = require('p-tap')
+
+const createExecutor = require('./exec-transactions')
+const { ValidationError } = require('./errors')
+
+// Expected gas of each approval, used when simulating or building transactions.
+const APPROVAL_GAS = 66000
+
+const createAllowances = function (contractsPromise, vesper, options) {
+  const {
+    dryRun = false,
+    from,
+    overestimation,
+    unsigned = false,
+    vakAddress,
+    web3
+  } = options
+
+  const executeTransactions = createExecutor({
+    dryRun,
+    from,
+    unsigned,
+    web3,
+    overestimation
+  })
+
+  // Gets the allowances granted by the owner to the pools, to transfer the
+  // deposit assets, and to the VAK, to transfer the pool tokens when migrating.
+  // Only the non-zero allowances are returned.
+  const getAllowances = function (owner) {
+    const _owner = owner || from
+
+    debug('Getting allowances of %s', _owner)
+
+    return contractsPromise
+      .then(({ assetContracts, pools, poolContracts }) =>
+        Promise.all(
+          pools
+            .filter(pool => pool.asset !== 'ETH')
+            .map(pool => ({
+              contract: assetContracts[pool.asset],
+              token: pool.asset,
+              spender: pool.address,
+              spenderName: pool.name
+            }))
+            .concat(
+              pools.map(pool => ({
+                contract: poolContracts[pool.address],
+                token: pool.name,
+                spender: vakAddress,
+                spenderName: 'MiniArmyKnife'
+              }))
+            )
+            .map(({ contract, token, spender, spenderName }) =>
+              contract.methods
+                .allowance(_owner, spender)
+                .call()
+                .then(amount => ({
+                  owner: _owner,
+                  token,
+                  tokenAddress: contract.options.address,
+                  spender,
+                  spenderName,
+                  amount
+                }))
+            )
+        )
+      )
+      .then(allowances => allowances.filter(({ amount }) => amount !== '0'))
+      .then(
+        pTap(function (allowances) {
+          debug('Got %s allowances of %s', allowances.length, _owner)
+        })
+      )
+  }
+
+  // Revokes all the allowances granted to the spender by setting them to 0.
+  // One approval is queued per token.
+  const revokeApproval = function (
+    spender,
+    transactionOptions = {},
+    executionOptions = {}
+  ) {
+    const _from = transactionOptions.from || from
+
+    debug('Initiating revoke of approvals of %s to %s', _from, spender)
+
+    let revocations = []
+    const transactionsPromise = getAllowances(_from).then(function (
+      allowances
+    ) {
+      revocations = allowances.filter(
+        allowance => allowance.spender.toLowerCase() === spender.toLowerCase()
+      )
+      if (!revocations.length) {
+        throw new ValidationError(`No allowances granted to ${spender}`, {
+          reason: 'NOTHING_TO_REVOKE'
+        })
+      }
+
+      return revocations.map(({ spenderName, token, tokenAddress }) => ({
+        method: new web3.eth.Contract(erc20Abi, tokenAddress).methods.approve(
+          spender,
+          0
+        ),
+        suffix: `revoke-${token}`,
+        description: `Revoke ${token} allowance of ${spenderName}`,
+        gas: APPROVAL_GAS
+      }))
+    })
+
+    const parseResults = function (transactionsData) {
+      debug('Revoke of approvals to %s completed', spender)
+
+      return {
+        revoked: revocations
+          .slice(0, transactionsData.length)
+          .map(({ spender: _spender, token, tokenAddress }) => ({
+            token,
+            tokenAddress,
+            spender: _spender
+          }))
+      }
+    }
+
+    return executeTransactions(
+      transactionsPromise,
+      parseResults,
+      transactionOptions,
+      executionOptions
+    )
+  }
+
+  return { getAllowances, revokeApproval }
+}
+
+module.exports = createAllowances
@@ -0,0 +1,162 @@
+'use strict'
+
+const Big = require('big.js').default
+const debug = require('debug')('vesper-lib:apy')
+const lodash = require('lodash')
+const pTap = require('p-tap')
+
+const { findPools } = require('./history')
+const { ValidationError } = require('./errors')
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60
+
+// Seconds of each period unit.
+const secondsPer = {
+  h: 60 * 60,
+  d: 24 * 60 * 60,
+  w: 7 * 24 * 60 * 60,
+  y: SECONDS_PER_YEAR
+}
+
+// Parses a period like `7d` into seconds.
+const parsePeriod = function (period) {
+  const match = /^([1-9][0-9]*)([hdwy])$/.exec(period)
+  if (!match) {
+    throw new ValidationError(`Invalid period ${period}`, {
+      reason: 'INVALID_ARGUMENT'
+    })
+  }
+  return Number.parseInt(match[1]) * secondsPer[match[2]]
+}
+
+// Finds the last block mined at or before the timestamp, in seconds, with a
+// binary search between the given blocks. The block `low` must be mined at or
+// before the timestamp.
+const findBlockBefore = function (getTimestamp, timestamp, low, high) {
+  if (low >= high) {
+    return Promise.resolve(low)
+  }
+  const mid = Math.ceil((low + high) / 2)
+  return getTimestamp(mid).then(midTimestamp =>
+    midTimestamp <= timestamp
+      ? findBlockBefore(getTimestamp, timestamp, mid, high)
+      : findBlockBefore(getTimestamp, timestamp, low, mid - 1)
+  )
+}
+
+// Annualizes the change of the token value in the given seconds, both
+// compounded (APY) and not (APR).
+const annualize = function (fromValue, toValue, seconds) {
+  if (!seconds || Big(fromValue).eq(0)) {
+    return { apr: null, apy: null }
+  }
+  const change = Number(Big(toValue).div(fromValue).toFixed())
+  return {
+    apr: ((change - 1) * SECONDS_PER_YEAR) / seconds,
+    apy: Math.pow(change, SECONDS_PER_YEAR / seconds) - 1
+  }
+}
+
+const createApy = (contractsPromise, vesper, { web3 }) => ({
+  // Gets the annualized rates of a pool in the given periods from the change
+  // of the token value, or price per share in v3 pools, since the block mined
+  // at the start of each period. If the pool is younger than a period, the
+  // block it was created at is used instead. Reading past token values
+  // requires an archive node.
+  getApy(pool, { periods = ['1d', '7d', '30d'] } = {}) {
+    debug('Getting APY of %s in %s', pool, periods.join(', '))
+
+    // The timestamps of the blocks read while searching are reused.
+    const getTimestamp = lodash.memoize(blockNumber =>
+      web3.eth.getBlock(blockNumber).then(block => Number(block.timestamp))
+    )
+
+    const getValue = (poolInfo, blockNumber) =>
+      poolInfo.version === 3
+        ? vesper[poolInfo.address].getPricePerShare(blockNumber)
+        : vesper[poolInfo.address].getTokenValue(blockNumber)
+
+    return contractsPromise
+      .then(function ({ pools }) {
+        const [poolInfo] = findPools(pools, [pool])
+        return Promise.all([
+          poolInfo,
+          periods.map(parsePeriod),
+          web3.eth.getBlockNumber()
+        ])
+      })
+      .then(([poolInfo, durations, toBlock]) =>
+        Promise.all([
+          poolInfo,
+          durations,
+          toBlock,
+          getTimestamp(toBlock),
+          getValue(poolInfo, toBlock),
+          getTimestamp(poolInfo.birthblock || 0)
+        ])
+      )
+      .then(function ([
+        poolInfo,
+        durations,
+        toBlock,
+        toTimestamp,
+        toValue,
+        birthTimestamp
+      ]) {
+        const birthblock = poolInfo.birthblock || 0
+
+        const getPeriodApy = function (period, duration) {
+          const timestamp = toTimestamp - duration
+          const partial = timestamp < birthTimestamp
+          return (partial
+            ? Promise.resolve(birthblock)
+            : findBlockBefore(getTimestamp, timestamp, birthblock, toBlock)
+          )
+            .then(fromBlock =>
+              Promise.all([
+                fromBlock,
+                getTimestamp(fromBlock),
+                getValue(poolInfo, fromBlock)
+              ])
+            )
+            .then(([fromBlock, fromTimestamp, fromValue]) => [
+              period,
+              {
+                ...annualize(fromValue, toValue, toTimestamp - fromTimestamp),
+                fromBlock,
+                fromTimestamp: fromTimestamp * 1000,
+                fromValue,
+                partial,
+                toBlock,
+                toTimestamp: toTimestamp * 1000,
+                toValue
+              }
+            ])
+        }
+
+        return Promise.all(
+          periods.map((period, i) => getPeriodApy(period, durations[i]))
+        ).then(rates => ({
+          pool: poolInfo.name,
+          address: poolInfo.address,
+          periods: lodash.fromPairs(rates)
+        }))
+      })
+      .then(
+        pTap(function ({ periods: rates }) {
+          Object.keys(rates).forEach(function (period) {
+            debug(
+              'APY of %s in %s is %s (blocks %s-%s)',
+              pool,
+              period,
+              rates[period].apy,
+              rates[period].fromBlock,
+              rates[period].toBlock
+            )
+          })
+        })
+      )
+  }
+})
+
+module.exports = createApy
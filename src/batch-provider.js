@@ -0,0 +1,219 @@
+'use strict'
+
+const debug = require('debug')('vesper-lib:batch')
+const lodash = require('lodash')
+const { callbackify, promisify } = require('util')
+
+const eip1193 = require('./eip-1193')
+const multicallAbi = require('./abi/multicall3.json')
+const { RpcUnavailableError, toVesperError } = require('./errors')
+
+// Multicall3 is deployed at the same address in most chains.
+const MULTICALL_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11'
+
+const aggregate3Abi = multicallAbi.find(item => item.name === 'aggregate3')
+
+// Checks if a request is a plain contract call. Calls sent from an address or
+// with value, like the simulations of transactions, may depend on the sender
+// so are not batched. Neither are calls with state overrides.
+const isBatchable = ({ method, params = [] }) =>
+  method === 'eth_call' &&
+  params.length <= 2 &&
+  !!params[0] &&
+  !!params[0].to &&
+  !params[0].from &&
+  !Number(params[0].value || 0)
+
+const createCallError = ({ code, data, message }) =>
+  Object.assign(new Error(message), { code, data })
+
+/**
+ * Creates a provider that batches the contract calls sent at the same time.
+ *
+ * The `eth_call` requests sent in the same tick, or in the given wait time,
+ * are grouped by block and sent through the Multicall3 aggregator contract.
+ * Each call is allowed to fail on its own so a failing call only rejects its
+ * own request. If the aggregator is not available, i.e. it was not deployed
+ * yet at the block, the calls are sent in a JSON-RPC batch request or, if the
+ * provider does not support these, one by one. The rest of the requests are
+ * sent as is.
+ *
+ * @param {object} web3 A web3.js instance.
+ * @param {object} [options] The batching options.
+ * @param {number} [options.maxBatchSize] The maximum number of calls per batch.
+ * @param {string} [options.multicallAddress] The address of the aggregator.
+ * @param {number} [options.wait] The time to collect calls in ms.
+ * @returns {object} The provider of the web3 instance with batching.
+ */
+function createBatchProvider(web3, options = {}) {
+  const {
+    maxBatchSize = 50,
+    multicallAddress = MULTICALL_ADDRESS,
+    wait = 0
+  } = options
+
+  const provider = web3.currentProvider
+  const send = request => eip1193.patch(provider).request(request)
+
+  let queue = []
+  let timer = null
+
+  const settle = (call, promise) => promise.then(call.resolve, call.reject)
+
+  // Sends the calls through the aggregator. If the aggregator has no code at
+  // the block, the empty result cannot be decoded and the batch fails.
+  const aggregate = function (calls, blockTag) {
+    const data = web3.eth.abi.encodeFunctionCall(aggregate3Abi, [
+      calls.map(({ request: { params } }) => [
+        params[0].to,
+        true,
+        params[0].data || params[0].input || '0x'
+      ])
+    ])
+    return send({
+      method: 'eth_call',
+      params: [{ to: multicallAddress, data }, blockTag]
+    }).then(function (result) {
+      const [results] = Object.values(
+        web3.eth.abi.decodeParameters(aggregate3Abi.outputs, result)
+      )
+      calls.forEach(function (call, i) {
+        const { success, returnData } = results[i]
+        if (success) {
+          call.resolve(returnData)
+        } else {
+          call.reject(
+            createCallError({
+              code: -32000,
+              data: returnData,
+              message: 'execution reverted'
+            })
+          )
+        }
+      })
+    })
+  }
+
+  // Sends the calls in a JSON-RPC batch request. Each response has its own
+  // result or error.
+  const sendJsonRpcBatch = function (calls) {
+    const sendAsync = provider.sendAsync || provider.send
+    if (typeof sendAsync !== 'function') {
+      return Promise.reject(new Error('Provider does not support batches'))
+    }
+    const id = Date.now()
+    const payload = calls.map(({ request: { method, params } }, i) => ({
+      id: id + i,
+      jsonrpc: '2.0',
+      method,
+      params
+    }))
+    return promisify(sendAsync.bind(provider))(payload).then(function (
+      responses
+    ) {
+      if (!Array.isArray(responses)) {
+        throw new RpcUnavailableError('Invalid JSON-RPC batch response')
+      }
+      calls.forEach(function (call, i) {
+        const response = responses.find(r => r.id === payload[i].id)
+        if (!response) {
+          call.reject(new RpcUnavailableError('Missing JSON-RPC response'))
+        } else if (response.error) {
+          call.reject(createCallError(response.error))
+        } else {
+          call.resolve(response.result)
+        }
+      })
+    })
+  }
+
+  const sendCalls = function (calls, blockTag) {
+    if (calls.length === 1) {
+      settle(calls[0], send(calls[0].request))
+      return
+    }
+
+    debug('Sending %s calls at block %s', calls.length, blockTag)
+
+    aggregate(calls, blockTag)
+      .catch(function (err) {
+        debug('Could not aggregate calls: %s', err.message)
+        if (toVesperError(err) instanceof RpcUnavailableError) {
+          throw err
+        }
+        return sendJsonRpcBatch(calls)
+      })
+      .catch(function (err) {
+        debug('Could not send a batch of calls: %s', err.message)
+        calls.forEach(call => settle(call, send(call.request)))
+      })
+  }
+
+  // Sends the queued calls grouped by block.
+  const flush = function () {
+    const blockTagOf = ({ request }) => request.params[1] || 'latest'
+    const calls = queue
+    queue = []
+    timer = null
+    Object.values(lodash.groupBy(calls, blockTagOf)).forEach(group =>
+      lodash
+        .chunk(group, maxBatchSize)
+        .forEach(chunk => sendCalls(chunk, blockTagOf(chunk[0])))
+    )
+  }
+
+  const request = function (req) {
+    if (!isBatchable(req)) {
+      return send(req)
+    }
+    return new Promise(function (resolve, reject) {
+      queue.push({ request: req, resolve, reject })
+      if (!timer) {
+        timer = setTimeout(flush, wait)
+      }
+    })
+  }
+
+  // The legacy methods receive a JSON-RPC request and a callback. Batches are
+  // sent as is.
+  const sendAsync = function (payload, callback) {
+    if (Array.isArray(payload)) {
+      const _sendAsync = provider.sendAsync || provider.send
+      _sendAsync.call(provider, payload, callback)
+      return
+    }
+    const { id, jsonrpc } = payload
+    callbackify(() =>
+      request(payload).then(
+        result => ({ id, jsonrpc, result }),
+        ({ code, data, message }) => ({
+          id,
+          jsonrpc,
+          error: { code, data, message }
+        })
+      )
+    )(callback)
+  }
+
+  const overrides = {
+    isBatchProvider: true,
+    request,
+    send: sendAsync,
+    sendAsync
+  }
+
+  // Everything else, like the subscription events, is the provider's own.
+  return new Proxy(provider, {
+    get(target, prop) {
+      if (lodash.has(overrides, prop)) {
+        return overrides[prop]
+      }
+      const value = target[prop]
+      return typeof value === 'function' ? value.bind(target) : value
+    }
+  })
+}
+
+createBatchProvider.MULTICALL_ADDRESS = MULTICALL_ADDRESS
+
+module.exports = createBatchProvider
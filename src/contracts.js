@@ -8,6 +8,7 @@ const collateralManagerAbi = require('./abi/collateral-manager.json')
 const controllerAbi = require('./abi/controller.json')
 const vesperPoolAbi = require('./abi/pool.json')
 const vesperPoolV3Abi = require('./abi/pool-v3.json')
+const { UnknownTokenError } = require('./errors')
 
 const getPoolAbi = function (version) {
   switch (version) {
@@ -70,11 +71,17 @@ const getContracts = function (web3, metadata) {
       const assetContracts = pools
         .map(pool => pool.asset)
         .filter(asset => asset !== 'ETH')
-        .map(asset =>
-          augmentedTokenList.find(
-            token => token.symbol === asset && token.chainId === id
+        .map(function (asset) {
+          const token = augmentedTokenList.find(
+            t => t.symbol === asset && t.chainId === id
           )
-        )
+          if (!token) {
+            throw new UnknownTokenError(`Unknown token ${asset}`, {
+              token: asset
+            })
+          }
+          return token
+        })
         .map(function (asset) {
           const { address, symbol } = asset
           const contract = new web3.eth.Contract(erc20Abi, address)
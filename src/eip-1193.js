@@ -2,6 +2,8 @@
 
 const { promisify } = require('util')
 
+const { RpcUnavailableError } = require('./errors')
+
 // Patches an Ethereum provider so it has a `request` method as specified by
 // EIP-1193.
 const patch = function (provider) {
@@ -13,7 +15,9 @@ const patch = function (provider) {
   // Otherwise, test if the legacy methods exist.
   const sendAsync = provider.sendAsync || provider.send
   if (!sendAsync || typeof sendAsync !== 'function') {
-    throw new Error('Provider does not have a sendAsync or send method to use')
+    throw new RpcUnavailableError(
+      'Provider does not have a sendAsync or send method to use'
+    )
   }
 
   // And then patch the provider. The legacy methods receive a JSON-RPC request
@@ -24,10 +28,15 @@ const patch = function (provider) {
     const payload = { id, jsonrpc: '2.0', method, params }
     return sendJsonRpc(payload).then(function (response) {
       if (response.jsonrpc !== '2.0' || response.id !== id) {
-        throw new Error('Invalid JSON-RPC response')
+        throw new RpcUnavailableError('Invalid JSON-RPC response')
       }
       if (response.error) {
-        throw new Error(response.error)
+        // Keep the JSON-RPC error code and data i.e. to get revert reasons.
+        const { code, data, message } = response.error
+        throw Object.assign(new Error(message || response.error), {
+          code,
+          data
+        })
       }
       return response.result
     })
@@ -0,0 +1,125 @@
+'use strict'
+
+// Base class of the errors the library rejects with. The `code` of each class
+// is stable so callers can handle the errors without parsing the messages.
+// The original error, if any, is kept as the `cause`.
+class VesperError extends Error {
+  constructor(message, details) {
+    super(message)
+    Object.assign(this, details)
+    this.name = this.constructor.name
+    this.code = this.constructor.code
+  }
+}
+VesperError.code = 'VESPER_ERROR'
+
+// The user rejected signing a message or a transaction in the wallet.
+class UserRejectedError extends VesperError {}
+UserRejectedError.code = 'USER_REJECTED'
+
+// The gas of a transaction could not be estimated, usually because it would
+// revert. The `revertReason` is set if the node reported it.
+class GasEstimationError extends VesperError {}
+GasEstimationError.code = 'GAS_ESTIMATION_FAILED'
+
+// A transaction was sent but reverted. The `revertReason` is decoded from the
+// error data or by replaying the transaction at the block it was mined.
+class TransactionRevertedError extends VesperError {}
+TransactionRevertedError.code = 'TRANSACTION_REVERTED'
+
+// The node could not be reached or did not return a valid response.
+class RpcUnavailableError extends VesperError {}
+RpcUnavailableError.code = 'RPC_UNAVAILABLE'
+
+// The pool is not in the metadata of the library instance.
+class UnknownPoolError extends VesperError {}
+UnknownPoolError.code = 'UNKNOWN_POOL'
+
+// The token is not in the metadata nor in the Uniswap token list.
+class UnknownTokenError extends VesperError {}
+UnknownTokenError.code = 'UNKNOWN_TOKEN'
+
+// The operation is not supported by the pool i.e. because of its version.
+class UnsupportedOperationError extends VesperError {}
+UnsupportedOperationError.code = 'UNSUPPORTED_OPERATION'
+
+// An operation or its arguments did not pass validation. The `reason` tells
+// why, i.e. `POOL_PAUSED` or `INSUFFICIENT_BALANCE`.
+class ValidationError extends VesperError {}
+ValidationError.code = 'VALIDATION_FAILED'
+
+// An amount is not a positive integer or is out of range.
+class InvalidAmountError extends ValidationError {
+  constructor(message, details) {
+    super(message, { reason: 'INVALID_AMOUNT', ...details })
+  }
+}
+InvalidAmountError.code = 'INVALID_AMOUNT'
+
+const isUserRejection = err =>
+  err.code === 4001 ||
+  /user (denied|rejected)|rejected by (the )?user/i.test(err.message)
+
+const isRpcFailure = err =>
+  ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT'].includes(err.code) ||
+  /CONNECTION (ERROR|TIMEOUT)|connection not open|Invalid JSON[- ]RPC response|socket hang up|Failed to fetch/i.test(
+    err.message
+  )
+
+// Converts any error to a library error. User rejections and node failures
+// are recognized by their codes or messages and the rest are wrapped as the
+// given class, keeping the original message.
+const toVesperError = function (err, ErrorClass = VesperError, details) {
+  if (err instanceof VesperError) {
+    return err
+  }
+  const _err = err instanceof Error ? err : new Error(`${err}`)
+  const Class = isUserRejection(_err)
+    ? UserRejectedError
+    : isRpcFailure(_err)
+    ? RpcUnavailableError
+    : ErrorClass
+  return new Class(_err.message, { ...details, cause: _err })
+}
+
+// Wraps the methods of an object so these reject, or throw, library errors.
+// Operations returning `{ emitter, promise }` are already handled by the
+// executor so are returned as is.
+const withVesperErrors = function (methods) {
+  const wrapped = {}
+  Object.keys(methods).forEach(function (key) {
+    const method = methods[key]
+    wrapped[key] =
+      typeof method !== 'function'
+        ? method
+        : function (...args) {
+            let result
+            try {
+              result = method.apply(this, args)
+            } catch (err) {
+              throw toVesperError(err)
+            }
+            return result && typeof result.then === 'function'
+              ? result.catch(function (err) {
+                  throw toVesperError(err)
+                })
+              : result
+          }
+  })
+  return wrapped
+}
+
+module.exports = {
+  GasEstimationError,
+  InvalidAmountError,
+  RpcUnavailableError,
+  toVesperError,
+  TransactionRevertedError,
+  UnknownPoolError,
+  UnknownTokenError,
+  UnsupportedOperationError,
+  UserRejectedError,
+  ValidationError,
+  VesperError,
+  withVesperErrors
+}
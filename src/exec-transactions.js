@@ -3,32 +3,272 @@
 const { EventEmitter } = require('events')
 const Big = require('big.js').default
 const debug = require('debug')('vesper-lib:exec-txs')
+const lodash = require('lodash')
+const parseReceiptEvents = require('web3-parse-receipt-events')
 const pSeries = require('p-series')
 const pTap = require('p-tap')
 
+const {
+  applyTransactionOptions,
+  calculateFee,
+  getExpectedFee,
+  getFeeSuggestion,
+  getReplacementFees,
+  toTransactionFees
+} = require('./fee-market')
 const { fromUnit } = require('./utils')
+const {
+  getAllowanceOverride,
+  getBalanceOverride,
+  mergeStateOverrides
+} = require('./state-overrides')
+const eip1193 = require('./eip-1193')
+const {
+  GasEstimationError,
+  toVesperError,
+  TransactionRevertedError,
+  VesperError
+} = require('./errors')
 
-const calculateFee = ({ transaction, receipt }) =>
-  Big(transaction.gasPrice).times(receipt.gasUsed).toFixed()
+// Selector of the `Error(string)` revert data.
+const ERROR_SELECTOR = '0x08c379a0'
 
-const calculateTotalFee = transactionsData =>
+const calculateTotalFee = (web3, transactionsData) =>
   transactionsData
-    .map(calculateFee)
+    .map(transactionData => calculateFee(web3, transactionData))
     .reduce((total, fee) => Big(total).plus(fee), Big(0))
     .toFixed()
 
-const createEstimateGasAndSend = (web3, emitter, overestimation = 1.25) =>
-  function (method, transactionOptions, suffix) {
+// Extracts the revert reason of a failed call. Nodes report it either as the
+// ABI-encoded `Error(string)` data or as part of the error message.
+const getRevertReason = function (web3, err) {
+  const data =
+    err.data && typeof err.data === 'object' ? err.data.data : err.data
+  if (typeof data === 'string' && data.startsWith(ERROR_SELECTOR)) {
+    try {
+      return web3.eth.abi.decodeParameter('string', `0x${data.slice(10)}`)
+    } catch (decodeErr) {
+      debug('Could not decode revert reason: %s', decodeErr.message)
+    }
+  }
+  const match = /revert(?:ed)?:?\s*(.*)$/.exec(err.message)
+  return match && match[1] ? match[1] : err.message
+}
+
+// Gets the revert reason of a mined transaction by replaying it with
+// `eth_call` at the block it was mined. If the replay does not revert, the
+// reason is unknown.
+const getMinedRevertReason = (web3, receipt) =>
+  web3.eth
+    .getTransaction(receipt.transactionHash)
+    .then(({ from, gas, input, to, value }) =>
+      web3.eth.call({ from, gas, data: input, to, value }, receipt.blockNumber)
+    )
+    .then(() => null)
+    .catch(err => getRevertReason(web3, err))
+
+// Converts the error of a sent transaction. Transactions can revert when mined
+// or, in some nodes, when sent.
+const toSendError = function (web3, err) {
+  if (err instanceof VesperError) {
+    return Promise.resolve(err)
+  }
+  if (err.receipt) {
+    const hash = err.receipt.transactionHash
+    return getMinedRevertReason(web3, err.receipt).then(
+      revertReason =>
+        new TransactionRevertedError(
+          `Transaction ${hash} reverted${
+            revertReason ? `: ${revertReason}` : ''
+          }`,
+          { cause: err, receipt: err.receipt, revertReason }
+        )
+    )
+  }
+  const error = toVesperError(err)
+  return Promise.resolve(
+    error.code === 'VESPER_ERROR' && /revert/.test(err.message)
+      ? new TransactionRevertedError(err.message, {
+          cause: err,
+          revertReason: getRevertReason(web3, err)
+        })
+      : error
+  )
+}
+
+// Simulates a transaction with `eth_call` at the pending block. Transactions
+// that approve tokens carry the allowance they grant, and transactions that
+// transfer tokens to the sender carry the balance they add, so the simulation
+// of the following transactions can override the token state accordingly.
+const createSimulate = (web3, emitter, overestimation = 1.25) =>
+  function (tx, transactionOptions, stateOverride) {
+    const { allowance, balance, method, suffix, value } = tx
     const suffixed = event => `${event}${suffix ? `-${suffix}` : ''}`
 
-    let hash
-    let transactionPromise
+    // Method calls with permits cannot be simulated without a signature so an
+    // equivalent method call is simulated instead.
+    const simulationMethod = tx.simulationMethod || method
+
+    const call = {
+      from: transactionOptions.from,
+      to: simulationMethod._parent.options.address,
+      data: simulationMethod.encodeABI(),
+      value: value ? web3.utils.toHex(value) : undefined
+    }
+
+    debug('Simulating transaction to %s', call.to)
+
+    return Promise.all([
+      allowance
+        ? getAllowanceOverride(web3, {
+            ...allowance,
+            owner: transactionOptions.from
+          }).catch(function (err) {
+            debug('Could not override allowance: %s', err.message)
+            return {}
+          })
+        : {},
+      balance
+        ? getBalanceOverride(web3, {
+            ...balance,
+            owner: transactionOptions.from
+          }).catch(function (err) {
+            debug('Could not override balance: %s', err.message)
+            return {}
+          })
+        : {}
+    ]).then(function ([allowanceOverride, balanceOverride]) {
+      // A permit grants the allowance in the same transaction.
+      const callOverride = tx.simulationMethod
+        ? mergeStateOverrides(stateOverride, allowanceOverride)
+        : stateOverride
+      const nextStateOverride = mergeStateOverrides(
+        mergeStateOverrides(stateOverride, allowanceOverride),
+        balanceOverride
+      )
+      const overridden = Object.keys(callOverride).length > 0
+
+      return eip1193
+        .patch(web3.currentProvider)
+        .request({
+          method: 'eth_call',
+          params: overridden
+            ? [call, 'pending', callOverride]
+            : [call, 'pending']
+        })
+        .then(returnData =>
+          // The gas can only be estimated if the state was not overridden.
+          Promise.all([
+            returnData,
+            overridden
+              ? tx.gas
+              : web3.eth
+                  .estimateGas(call)
+                  .then(gas => Math.ceil(gas * overestimation))
+                  .catch(() => tx.gas)
+          ])
+        )
+        .then(([returnData, gas]) => ({
+          ...call,
+          gas,
+          returnData,
+          revertReason: null,
+          success: true,
+          suffix
+        }))
+        .catch(err => ({
+          ...call,
+          gas: tx.gas,
+          returnData: null,
+          revertReason: getRevertReason(web3, err),
+          success: false,
+          suffix
+        }))
+        .then(
+          pTap(function (simulation) {
+            debug(
+              'Simulation %s%s',
+              simulation.success ? 'succeeded' : 'failed',
+              simulation.success ? '' : `: ${simulation.revertReason}`
+            )
+            emitter.emit(suffixed('simulation'), simulation)
+          })
+        )
+        .then(simulation => ({ simulation, stateOverride: nextStateOverride }))
+    })
+  }
+
+// Builds an unsigned transaction with the suggested gas and the given nonce. If
+// the gas cannot be estimated i.e. because it depends on a previous
+// transaction, the expected gas is suggested instead.
+const createBuildTransaction = (web3, overestimation = 1.25) =>
+  function (tx, transactionOptions, nonce) {
+    const { description, gas, method, suffix, value = '0' } = tx
+
+    const to = method._parent.options.address
+
+    debug('Building transaction to %s', to)
+
+    return method
+      .estimateGas({ from: transactionOptions.from, value })
+      .then(estimatedGas => Math.ceil(estimatedGas * overestimation))
+      .catch(function (err) {
+        debug('Could not estimate gas: %s', err.message)
+        return gas
+      })
+      .then(suggestedGas => ({
+        data: method.encodeABI(),
+        description: description || suffix,
+        gas: suggestedGas,
+        nonce,
+        suffix,
+        to,
+        value: `${value}`
+      }))
+  }
+
+// Creates a batch of transactions in the format the Gnosis Safe Transaction
+// Builder app imports.
+const createSafeBatch = (chainId, safeAddress, transactions) => ({
+  version: '1.0',
+  chainId: `${chainId}`,
+  createdAt: Date.now(),
+  meta: {
+    name: `Vesper ${transactions.map(({ suffix }) => suffix).join(', ')}`,
+    description: transactions.map(({ description }) => description).join('\n'),
+    createdFromSafeAddress: safeAddress
+  },
+  transactions: transactions.map(({ data, to, value }) => ({
+    to,
+    value,
+    data
+  }))
+})
+
+// Sends a transaction and keeps track of it so it can be replaced while
+// pending. Replacements use the same nonce and either send the same transaction
+// with a higher gas price (speed up) or a zero-value transfer to self (cancel).
+// The first transaction to be mined, either the original or a replacement,
+// settles the returned promise.
+const createEstimateGasAndSend = (
+  web3,
+  emitter,
+  overestimation = 1.25,
+  pending = {}
+) =>
+  function (method, transactionOptions, suffix) {
+    const suffixed = event => `${event}${suffix ? `-${suffix}` : ''}`
 
     const estimateGas = function () {
       debug('Estimating gas')
 
       const estimationPromise = method
         .estimateGas(transactionOptions)
+        .catch(function (err) {
+          throw toVesperError(err, GasEstimationError, {
+            revertReason: getRevertReason(web3, err)
+          })
+        })
         .then(
           pTap(function (gas) {
             debug('Gas needed is %d (x%s)', gas, overestimation.toFixed(2))
@@ -52,83 +292,271 @@ const createEstimateGasAndSend = (web3, emitter, overestimation = 1.25) =>
       return estimationPromise
     }
 
-    const getTransaction = function () {
-      if (!transactionPromise) {
-        debug('Getting transaction %s', hash)
-        transactionPromise = web3.eth.getTransaction(hash)
-      }
-      return transactionPromise
-    }
-
     // Estimate the gas if not provided and add safety factor
     return Promise.resolve(transactionOptions.gas || estimateGas()).then(
-      function (gas) {
-        // Send the transaction
-        debug(
-          'Sending transaction to %s',
-          transactionOptions.to || method._parent.options.address
-        )
-        const promiEvent = method.send({ ...transactionOptions, gas })
+      gas =>
+        new Promise(function (resolve, reject) {
+          const sendOptions = { ...transactionOptions, gas }
 
-        // Listen for transaction events
-        promiEvent.on('transactionHash', function (_hash) {
-          hash = _hash
-          debug('Transaction hash is %s', _hash)
-          emitter.emit(suffixed('transactionHash'), _hash)
-        })
-        promiEvent.on('receipt', function (receipt) {
-          debug('Transaction %s %s', receipt.status ? 'mined' : 'failed', hash)
-          getTransaction()
-            .then(function (transaction) {
-              emitter.emit(suffixed('receipt'), { transaction, receipt })
+          let originalHash
+          let lastHash
+          let outstanding = 0
+          let settled = false
+
+          const settle = function (fn, value) {
+            settled = true
+            pending.current = null
+            fn(value)
+          }
+
+          // Listens for the events of the original transaction or one of its
+          // replacements.
+          const track = function (promiEvent, type) {
+            let hash
+            let transactionPromise
+
+            const getTransaction = function () {
+              if (!transactionPromise) {
+                debug('Getting transaction %s', hash)
+                transactionPromise = web3.eth.getTransaction(hash)
+              }
+              return transactionPromise
+            }
+
+            outstanding += 1
+
+            promiEvent.on('transactionHash', function (_hash) {
+              hash = _hash
+              lastHash = _hash
+              originalHash = originalHash || _hash
+              debug('Transaction hash is %s', _hash)
+              emitter.emit(suffixed('transactionHash'), _hash)
+              if (type) {
+                emitter.emit(suffixed('replacement'), {
+                  hash: _hash,
+                  replacedHash: originalHash,
+                  type
+                })
+              }
+            })
+            promiEvent.on('receipt', function (receipt) {
+              debug(
+                'Transaction %s %s',
+                receipt.status ? 'mined' : 'failed',
+                hash
+              )
+              getTransaction()
+                .then(function (transaction) {
+                  emitter.emit(suffixed('receipt'), { transaction, receipt })
+                })
+                .catch(function (err) {
+                  promiEvent.emit('error', err)
+                })
             })
-            .catch(function (err) {
-              promiEvent.emit('error', err)
+            promiEvent.on('error', function (err) {
+              debug('Transaction failed %s: %s', hash || '?', err.message)
             })
-        })
-        promiEvent.on('error', function (err) {
-          debug('Transaction failed %s: %s', hash || '?', err.message)
-          if (!emitter.listenerCount('error')) {
-            return
+
+            promiEvent
+              .then(
+                receipt =>
+                  getTransaction().then(function (transaction) {
+                    if (settled) {
+                      return
+                    }
+                    debug('Transaction %s settled the operation', hash)
+                    settle(resolve, {
+                      transaction,
+                      receipt,
+                      ...(type && {
+                        replaced: { hash: originalHash, type }
+                      })
+                    })
+                  }),
+                function (err) {
+                  outstanding -= 1
+                  // A mined but reverted transaction settles the operation.
+                  // Otherwise wait for any other pending attempt. Errors of
+                  // replaced transactions are expected and ignored.
+                  if (!settled && (err.receipt || !outstanding)) {
+                    settled = true
+                    pending.current = null
+                    return toSendError(web3, err).then(function (error) {
+                      if (emitter.listenerCount('error')) {
+                        emitter.emit('error', error)
+                      }
+                      reject(error)
+                    })
+                  }
+                  return null
+                }
+              )
+              .catch(function (err) {
+                if (!settled) {
+                  settle(reject, toVesperError(err))
+                }
+              })
+
+            return promiEvent
           }
-          emitter.emit('error', err)
-        })
 
-        // Return the Web3 PromiEvent that will be casted to Promise
-        return promiEvent.then(receipt =>
-          getTransaction().then(transaction => ({ transaction, receipt }))
-        )
-      }
+          // Gets fees high enough to replace the last transaction sent. It
+          // cannot be replaced once the node dropped it.
+          const getFeesToReplace = gasPriceFactor =>
+            web3.eth
+              .getTransaction(lastHash)
+              .then(transaction =>
+                transaction
+                  ? getReplacementFees(web3, transaction, gasPriceFactor)
+                  : Promise.reject(
+                      new VesperError('No pending transaction to replace')
+                    )
+              )
+
+          // Sends a replacement transaction and resolves to its hash.
+          const replace = function (type, sendReplacement, gasPriceFactor) {
+            if (settled || !lastHash) {
+              return Promise.reject(
+                new VesperError('No pending transaction to replace')
+              )
+            }
+            return getFeesToReplace(gasPriceFactor).then(
+              fees =>
+                new Promise(function (resolve, reject) {
+                  debug('Replacing transaction %s (%s)', lastHash, type)
+                  const promiEvent = track(sendReplacement(fees), type)
+                  promiEvent.once('transactionHash', resolve)
+                  promiEvent.catch(err => reject(toVesperError(err)))
+                })
+            )
+          }
+
+          pending.current = {
+            cancel: gasPriceFactor =>
+              replace(
+                'cancel',
+                fees =>
+                  web3.eth.sendTransaction({
+                    from: sendOptions.from,
+                    to: sendOptions.from,
+                    value: '0',
+                    gas: 21000,
+                    ...fees,
+                    nonce: sendOptions.nonce
+                  }),
+                gasPriceFactor
+              ),
+            speedUp: gasPriceFactor =>
+              replace(
+                'speedUp',
+                fees =>
+                  method.send({
+                    ...lodash.omit(sendOptions, [
+                      'gasPrice',
+                      'maxFeePerGas',
+                      'maxPriorityFeePerGas'
+                    ]),
+                    ...fees
+                  }),
+                gasPriceFactor
+              )
+          }
+
+          // Send the transaction
+          debug(
+            'Sending transaction to %s',
+            transactionOptions.to || method._parent.options.address
+          )
+          track(method.send(sendOptions))
+        })
     )
   }
 
-const createExecutor = function ({ from, web3, overestimation }) {
-  return function (transactionsPromise, parseResults, transactionOptions = {}) {
+const createExecutor = function ({
+  dryRun,
+  from,
+  unsigned,
+  web3,
+  overestimation
+}) {
+  return function (
+    transactionsPromise,
+    parseResults,
+    transactionOptions = {},
+    executionOptions = {}
+  ) {
     const _from = transactionOptions.from || from
+    const {
+      dryRun: _dryRun = dryRun,
+      estimateResults,
+      getWarnings,
+      operation,
+      resumeFrom,
+      unsigned: _unsigned = unsigned
+    } = executionOptions
+
+    // The progress of the operation is kept in a serializable record so the
+    // operation can be resumed later if a step fails or is rejected.
+    const progress = {
+      ...operation,
+      from: _from,
+      completed: [],
+      pending: null,
+      remaining: []
+    }
+
+    const getProgress = () => lodash.cloneDeep(progress)
+
+    // Operations may warn about their side effects i.e. resetting a timelock.
+    // The warnings are emitted before sending and added to the summary.
+    let warnings = []
+
+    const emitProgress = () => emitter.emit('progress', getProgress())
+
+    const isCompleted = ({ suffix }) =>
+      progress.completed.some(step => step.suffix === suffix)
 
     const emitter = new EventEmitter()
+    const pending = { current: null }
     const estimateGasAndSend = createEstimateGasAndSend(
       web3,
       emitter,
-      overestimation
+      overestimation,
+      pending
     )
+    const simulate = createSimulate(web3, emitter, overestimation)
+    const buildTransaction = createBuildTransaction(web3, overestimation)
 
-    const addGasPrice = txs =>
-      web3.eth.getGasPrice().then(gasPrice => ({ txs, gasPrice }))
+    // Gets the suggested fees unless set in the transaction options.
+    const addFees = txs =>
+      getFeeSuggestion(web3).then(fees => ({
+        txs,
+        fees: applyTransactionOptions(fees, transactionOptions)
+      }))
+
+    const emitTransactions = function ({ txs, fees }) {
+      warnings.forEach(function (warning) {
+        debug('Warning: %s', warning.message)
+        emitter.emit('warning', warning)
+      })
 
-    const sendTransactions = function ({ txs, gasPrice }) {
       const expectedGas = txs.reduce((sum, { gas }) => sum + gas, 0)
-      const expectedFee = Big(gasPrice).times(expectedGas).toFixed()
+      const expectedFee = getExpectedFee(fees, expectedGas)
       debug(
-        'Expected fee in %d transaction(s) is %s ETH',
+        'Expected fee in %d transaction(s) is %s-%s ETH',
         txs.length,
-        fromUnit(expectedFee)
+        fromUnit(expectedFee.min),
+        fromUnit(expectedFee.max)
       )
 
       emitter.emit('transactions', {
         expectedFee,
         suffixes: txs.map(({ suffix }) => suffix)
       })
+    }
+
+    const sendTransactions = function ({ txs, fees }, completedData = []) {
+      emitTransactions({ txs, fees })
 
       debug(
         'Sending %s transaction(s): %s',
@@ -136,27 +564,195 @@ const createExecutor = function ({ from, web3, overestimation }) {
         txs.map(({ suffix }) => suffix).join(', ')
       )
 
+      // Once a transaction is cancelled, the rest are not sent.
+      let cancelled = false
+
+      progress.remaining = txs.map(({ suffix }) => suffix)
+
+      // The transactions mined so far, including the ones completed before
+      // resuming the operation.
+      const minedData = completedData.slice()
+
+      // Sends a transaction and records its progress. The pending hash changes
+      // if the transaction is replaced. Transactions may carry a check to run
+      // just before sending them. If the check fails, it is not sent.
+      // Transactions depending on the results of the previous ones carry a
+      // prepare function that builds the method to send from those results.
+      // So do transactions with permits, signed just before sending.
+      const sendAndRecord = function (
+        { check, method, prepare, suffix },
+        sendOptions
+      ) {
+        const hashEvent = `transactionHash${suffix ? `-${suffix}` : ''}`
+        const onHash = function (hash) {
+          progress.pending = { suffix, hash }
+          emitProgress()
+        }
+
+        emitter.on(hashEvent, onHash)
+
+        return Promise.resolve(check && check())
+          .then(() => (prepare ? prepare(minedData) : method))
+          .catch(function (err) {
+            debug('Check or preparation before sending failed: %s', err.message)
+            const error = toVesperError(err)
+            if (emitter.listenerCount('error')) {
+              emitter.emit('error', error)
+            }
+            throw error
+          })
+          .then(preparedMethod =>
+            estimateGasAndSend(preparedMethod, sendOptions, suffix)
+          )
+          .then(
+            pTap(function (transactionData) {
+              const { replaced, transaction } = transactionData
+              minedData.push(transactionData)
+              cancelled = !!replaced && replaced.type === 'cancel'
+              progress.pending = null
+              if (!cancelled) {
+                progress.completed.push({ suffix, hash: transaction.hash })
+                progress.remaining.shift()
+              }
+              emitProgress()
+            })
+          )
+          .finally(function () {
+            emitter.removeListener(hashEvent, onHash)
+          })
+      }
+
       return web3.eth
         .getTransactionCount(_from, 'pending')
         .then(count =>
           pSeries(
-            txs.map(({ method, suffix, value }, i) => () =>
-              estimateGasAndSend(
-                method,
-                { from, ...transactionOptions, value, nonce: count + i },
-                suffix
-              )
+            txs.map((tx, i) => () =>
+              cancelled
+                ? null
+                : sendAndRecord(tx, {
+                    from,
+                    ...transactionOptions,
+                    ...toTransactionFees(fees),
+                    value: tx.value,
+                    nonce: count + i
+                  })
             )
           )
         )
+        .then(transactionsData => transactionsData.filter(Boolean))
+    }
+
+    // Gets the transactions and receipts of the steps completed before resuming
+    // the operation. The receipt events are parsed with the ABI of the contract
+    // each step was sent to so the results can be parsed as usual.
+    const getCompletedTransactionsData = txs =>
+      Promise.all(
+        progress.completed.map(({ hash, suffix }) =>
+          Promise.all([
+            web3.eth.getTransaction(hash),
+            web3.eth.getTransactionReceipt(hash)
+          ]).then(function ([transaction, receipt]) {
+            debug('Step %s was completed in transaction %s', suffix, hash)
+            const tx = txs.find(t => t.suffix === suffix)
+            const contract = tx && (tx.simulationMethod || tx.method)._parent
+            if (contract) {
+              parseReceiptEvents(
+                contract.options.jsonInterface,
+                contract.options.address,
+                receipt
+              )
+            }
+            return { transaction, receipt }
+          })
+        )
+      )
+
+    // Simulates the transactions in sequence. The state overrides of each
+    // simulation are passed on to the next one.
+    const simulateTransactions = function ({ txs, fees }) {
+      emitTransactions({ txs, fees })
+
+      debug(
+        'Simulating %s transaction(s): %s',
+        txs.length,
+        txs.map(({ suffix }) => suffix).join(', ')
+      )
+
+      return txs
+        .reduce(
+          (promise, tx) =>
+            promise.then(({ simulations, stateOverride }) =>
+              simulate(
+                tx,
+                { ...transactionOptions, from: _from },
+                stateOverride
+              ).then(result => ({
+                simulations: simulations.concat(result.simulation),
+                stateOverride: result.stateOverride
+              }))
+            ),
+          Promise.resolve({ simulations: [], stateOverride: {} })
+        )
+        .then(({ simulations }) => ({ simulations, fees }))
+    }
+
+    // Builds the transactions without sending them so these can be signed
+    // offline or imported into a multisig wallet.
+    const buildTransactions = function ({ txs, fees }) {
+      emitTransactions({ txs, fees })
+
+      debug(
+        'Building %s transaction(s): %s',
+        txs.length,
+        txs.map(({ suffix }) => suffix).join(', ')
+      )
+
+      // The nonces follow the transactions pending to be mined.
+      return Promise.all([
+        web3.eth.getChainId(),
+        web3.eth
+          .getTransactionCount(_from, 'pending')
+          .then(count =>
+            Promise.all(
+              txs.map((tx, i) =>
+                buildTransaction(
+                  tx,
+                  { ...transactionOptions, from: _from },
+                  count + i
+                )
+              )
+            )
+          )
+      ]).then(function ([chainId, transactions]) {
+        const result = {
+          batch: createSafeBatch(chainId, _from, transactions),
+          transactions,
+          unsigned: true,
+          ...(warnings.length && { warnings })
+        }
+
+        emitter.emit('result', result)
+        return result
+      })
     }
 
+    // Builds the summary of the operation. If a transaction was cancelled, the
+    // results cannot be parsed and the operation is reported as failed.
     const getResult = function (transactionsData) {
+      const cancelled = transactionsData.some(
+        ({ replaced }) => replaced && replaced.type === 'cancel'
+      )
       const result = {
-        ...parseResults(transactionsData),
-        fees: calculateTotalFee(transactionsData),
+        ...(!cancelled && parseResults(transactionsData)),
+        cancelled,
+        fees: calculateTotalFee(web3, transactionsData),
+        progress: getProgress(),
         raw: transactionsData,
-        status: transactionsData[transactionsData.length - 1].receipt.status
+        replaced: transactionsData.some(({ replaced }) => !!replaced),
+        status:
+          !cancelled &&
+          transactionsData[transactionsData.length - 1].receipt.status,
+        ...(warnings.length && { warnings })
       }
 
       debug('Total transaction fees paid %s ETH', fromUnit(result.fees))
@@ -165,14 +761,86 @@ const createExecutor = function ({ from, web3, overestimation }) {
       return result
     }
 
-    const promise = transactionsPromise
-      .then(addGasPrice)
+    // Builds the summary of the simulated operation. The amounts are estimated
+    // only if all the simulations succeeded.
+    const getSimulationResult = function ({ simulations, fees }) {
+      const failed = simulations.find(simulation => !simulation.success)
+
+      return Promise.resolve(
+        !failed && estimateResults ? estimateResults(simulations) : {}
+      ).then(function (estimatedResults) {
+        const result = {
+          ...estimatedResults,
+          dryRun: true,
+          fees: getExpectedFee(
+            fees,
+            simulations.reduce((sum, { gas }) => sum + gas, 0)
+          ).min,
+          raw: simulations,
+          revertReason: failed ? failed.revertReason : null,
+          status: !failed,
+          ...(warnings.length && { warnings })
+        }
+
+        debug('Total transaction fees estimated %s ETH', fromUnit(result.fees))
+
+        emitter.emit('result', result)
+        return result
+      })
+    }
+
+    // When resuming, the steps already completed are not sent again.
+    const promise = Promise.all([transactionsPromise, resumeFrom])
+      .then(function ([txs, record]) {
+        if (record) {
+          progress.completed = record.completed.slice()
+          debug(
+            'Resuming operation after %s',
+            progress.completed.map(({ suffix }) => suffix).join(', ')
+          )
+        }
+        return txs
+      })
+      .then(txs =>
+        Promise.resolve(getWarnings && getWarnings()).then(function (
+          _warnings
+        ) {
+          warnings = _warnings || []
+          return txs
+        })
+      )
+      .then(addFees)
       .catch(function (err) {
         debug('Failed building transactions queue: %s', err.message)
         throw err
       })
-      .then(sendTransactions)
-      .then(getResult)
+      .then(function ({ txs, fees }) {
+        // The steps run in order so the ones before a completed step are not
+        // sent either, i.e. an approval queued again as the deposit spent it.
+        const queue = {
+          txs: txs.slice(lodash.findLastIndex(txs, isCompleted) + 1),
+          fees
+        }
+        return _unsigned
+          ? buildTransactions(queue)
+          : _dryRun
+          ? simulateTransactions(queue).then(getSimulationResult)
+          : getCompletedTransactionsData(txs)
+              .then(completedData =>
+                sendTransactions(queue, completedData).then(transactionsData =>
+                  completedData.concat(transactionsData)
+                )
+              )
+              .then(getResult)
+              .catch(function (err) {
+                const error = toVesperError(err)
+                error.progress = getProgress()
+                throw error
+              })
+      })
+      .catch(function (err) {
+        throw toVesperError(err)
+      })
 
     promise.catch(function (err) {
       if (!emitter.listenerCount('error')) {
@@ -180,9 +848,19 @@ const createExecutor = function ({ from, web3, overestimation }) {
       }
     })
 
+    // Replaces the pending transaction, if any, with one paying a higher gas
+    // price. The factor is applied to the gas price of the transaction being
+    // replaced.
+    const replacePending = (type, gasPriceFactor) =>
+      pending.current
+        ? pending.current[type](gasPriceFactor)
+        : Promise.reject(new VesperError('No pending transaction to replace'))
+
     return {
+      cancel: gasPriceFactor => replacePending('cancel', gasPriceFactor),
       emitter,
-      promise
+      promise,
+      speedUp: gasPriceFactor => replacePending('speedUp', gasPriceFactor)
     }
   }
 }
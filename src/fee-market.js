@@ -0,0 +1,174 @@
+'use strict'
+
+const Big = require('big.js').default
+const debug = require('debug')('vesper-lib:fee-market')
+
+const eip1193 = require('./eip-1193')
+
+// Number of past blocks and the percentile of their priority fees used to
+// suggest the priority fee of the next transactions.
+const FEE_HISTORY_BLOCKS = 10
+const FEE_HISTORY_PERCENTILE = 50
+
+// The max fee suggested allows the base fee to double before the transactions
+// are mined.
+const BASE_FEE_FACTOR = 2
+
+// Converts a number, decimal string or hex string into a decimal string.
+const toDecimal = (web3, value) => web3.utils.toBN(value).toString()
+
+const maxOf = (a, b) => (Big(a).gt(b) ? Big(a) : Big(b)).toFixed(0)
+
+// Checks if the web3 library can send type-2 transactions. Older versions
+// always add a gas price to the transactions, that nodes reject along the
+// EIP-1559 fields.
+const canSendTypedTransactions = function (web3) {
+  const [major, minor] = `${web3.version}`.split('.').map(Number)
+  return major > 1 || (major === 1 && minor >= 5)
+}
+
+// Gets the suggested priority fee from the rewards paid in the last blocks. If
+// the node does not support `eth_feeHistory`, the difference between the gas
+// price and the base fee is suggested.
+const getPriorityFee = function (web3, baseFeePerGas) {
+  debug('Getting fee history of the last %s blocks', FEE_HISTORY_BLOCKS)
+  return eip1193
+    .patch(web3.currentProvider)
+    .request({
+      method: 'eth_feeHistory',
+      params: [
+        web3.utils.toHex(FEE_HISTORY_BLOCKS),
+        'latest',
+        [FEE_HISTORY_PERCENTILE]
+      ]
+    })
+    .then(function ({ reward }) {
+      const rewards = reward
+        .map(([value]) => Big(toDecimal(web3, value)))
+        .sort((a, b) => a.cmp(b))
+      return rewards.length ? rewards[rewards.length >> 1].toFixed(0) : '0'
+    })
+    .catch(function (err) {
+      debug('Could not get fee history: %s', err.message)
+      return web3.eth
+        .getGasPrice()
+        .then(gasPrice => maxOf(Big(gasPrice).minus(baseFeePerGas), 0))
+    })
+}
+
+// Suggests the fees of the next transactions. If the chain or the web3 library
+// do not support EIP-1559, the legacy gas price is suggested.
+const getFeeSuggestion = function (web3) {
+  const getGasPrice = () =>
+    web3.eth.getGasPrice().then(gasPrice => ({ gasPrice }))
+
+  if (!canSendTypedTransactions(web3)) {
+    return getGasPrice()
+  }
+
+  return web3.eth.getBlock('latest').then(function (block) {
+    if (!block.baseFeePerGas) {
+      return getGasPrice()
+    }
+    const baseFeePerGas = toDecimal(web3, block.baseFeePerGas)
+    return getPriorityFee(web3, baseFeePerGas).then(maxPriorityFeePerGas => ({
+      baseFeePerGas,
+      maxFeePerGas: Big(baseFeePerGas)
+        .times(BASE_FEE_FACTOR)
+        .plus(maxPriorityFeePerGas)
+        .toFixed(0),
+      maxPriorityFeePerGas
+    }))
+  })
+}
+
+// Overrides the suggested fees with the ones set in the transaction options.
+// Setting a gas price forces sending legacy transactions.
+const applyTransactionOptions = function (fees, transactionOptions) {
+  const { gasPrice, maxFeePerGas, maxPriorityFeePerGas } = transactionOptions
+  if (gasPrice) {
+    return { gasPrice: `${gasPrice}` }
+  }
+  if (!fees.baseFeePerGas) {
+    return fees
+  }
+  const _maxFeePerGas = `${maxFeePerGas || fees.maxFeePerGas}`
+  return {
+    ...fees,
+    maxFeePerGas: _maxFeePerGas,
+    maxPriorityFeePerGas: `${
+      maxPriorityFeePerGas ||
+      (Big(fees.maxPriorityFeePerGas).gt(_maxFeePerGas)
+        ? _maxFeePerGas
+        : fees.maxPriorityFeePerGas)
+    }`
+  }
+}
+
+// Gets the fee fields to send along a transaction.
+const toTransactionFees = ({ gasPrice, maxFeePerGas, maxPriorityFeePerGas }) =>
+  gasPrice ? { gasPrice } : { maxFeePerGas, maxPriorityFeePerGas }
+
+// Calculates the range of fees to pay for the given gas. The minimum assumes
+// the base fee does not change and the maximum, all the max fee is paid.
+const getExpectedFee = function (fees, gas) {
+  if (fees.gasPrice) {
+    const fee = Big(fees.gasPrice).times(gas).toFixed()
+    return { min: fee, max: fee }
+  }
+  const minFeePerGas = Big(fees.baseFeePerGas).plus(fees.maxPriorityFeePerGas)
+  return {
+    min: (minFeePerGas.gt(fees.maxFeePerGas)
+      ? Big(fees.maxFeePerGas)
+      : minFeePerGas
+    )
+      .times(gas)
+      .toFixed(),
+    max: Big(fees.maxFeePerGas).times(gas).toFixed()
+  }
+}
+
+// Gets the fees of a transaction replacing the given one. Both the fees of the
+// transaction are increased by the given factor but never below the ones
+// currently suggested.
+const getReplacementFees = function (web3, transaction, gasPriceFactor = 1.2) {
+  const bump = value => Big(toDecimal(web3, value)).times(gasPriceFactor)
+
+  if (!transaction.maxFeePerGas) {
+    return web3.eth.getGasPrice().then(gasPrice => ({
+      gasPrice: maxOf(bump(transaction.gasPrice), gasPrice)
+    }))
+  }
+
+  return getFeeSuggestion(web3).then(function (fees) {
+    const suggested = fees.gasPrice
+      ? { maxFeePerGas: fees.gasPrice, maxPriorityFeePerGas: '0' }
+      : fees
+    return {
+      maxFeePerGas: maxOf(
+        bump(transaction.maxFeePerGas),
+        suggested.maxFeePerGas
+      ),
+      maxPriorityFeePerGas: maxOf(
+        bump(transaction.maxPriorityFeePerGas),
+        suggested.maxPriorityFeePerGas
+      )
+    }
+  })
+}
+
+// Calculates the fee paid by a transaction. Type-2 transactions pay the
+// effective gas price reported in the receipt.
+const calculateFee = (web3, { transaction, receipt }) =>
+  Big(toDecimal(web3, receipt.effectiveGasPrice || transaction.gasPrice))
+    .times(receipt.gasUsed)
+    .toFixed()
+
+module.exports = {
+  applyTransactionOptions,
+  calculateFee,
+  getExpectedFee,
+  getFeeSuggestion,
+  getReplacementFees,
+  toTransactionFees
+}
@@ -0,0 +1,372 @@
+'use strict'
+
+const Big = require('big.js').default
+const debug = require('debug')('vesper-lib:history')
+const lodash = require('lodash')
+const pProps = require('p-props')
+const pTap = require('p-tap')
+
+const { fromUnit } = require('./utils')
+const { UnknownPoolError } = require('./errors')
+const getPastLogs = require('./past-logs')
+const poolAbi = require('./abi/pool.json')
+const poolRewardsAbi = require('./abi/pool-rewards.json')
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+// Gets the ABI of an event. The events read are the same in all the pool
+// versions.
+const getEventAbi = (abi, name) =>
+  abi.find(item => item.type === 'event' && item.name === name)
+
+const eventAbis = {
+  Deposit: getEventAbi(poolAbi, 'Deposit'),
+  RewardPaid: getEventAbi(poolRewardsAbi, 'RewardPaid'),
+  Transfer: getEventAbi(poolAbi, 'Transfer'),
+  Withdraw: getEventAbi(poolAbi, 'Withdraw')
+}
+
+// Finds pools by name or address. All the pools are returned if none is set.
+const findPools = function (allPools, pools) {
+  if (!pools) {
+    return allPools
+  }
+  return pools.map(function (nameOrAddress) {
+    const pool = allPools.find(
+      p =>
+        p.name === nameOrAddress ||
+        p.address.toLowerCase() === `${nameOrAddress}`.toLowerCase()
+    )
+    if (!pool) {
+      throw new UnknownPoolError(`Unknown pool ${nameOrAddress}`, {
+        pool: nameOrAddress
+      })
+    }
+    return pool
+  })
+}
+
+// Gets the address of the PoolRewards contract of each pool with rewards.
+const getRewardsAddresses = (vesper, pools) =>
+  Promise.all(
+    pools.map(pool =>
+      vesper[pool.address]
+        .getPoolRewardsAddress()
+        .then(rewardsAddress => ({ pool, rewardsAddress }))
+        .catch(function (err) {
+          debug('Could not get rewards of %s: %s', pool.name, err.message)
+          return { pool, rewardsAddress: ZERO_ADDRESS }
+        })
+    )
+  ).then(rewards =>
+    rewards.filter(({ rewardsAddress }) => rewardsAddress !== ZERO_ADDRESS)
+  )
+
+const createHistory = function (contractsPromise, vesper, { from, web3 }) {
+  const topics = lodash.mapValues(eventAbis, event =>
+    web3.eth.abi.encodeEventSignature(event)
+  )
+
+  const toAddressTopic = address =>
+    web3.utils.padLeft(address, 64).toLowerCase()
+
+  const decodeLog = (name, log) =>
+    web3.eth.abi.decodeLog(
+      eventAbis[name].inputs,
+      log.data,
+      log.topics.slice(1)
+    )
+
+  const getEventName = log =>
+    Object.keys(topics).find(name => topics[name] === log.topics[0])
+
+  // Converts a log into a history entry. Mints and burns of pool tokens are
+  // already reported as deposits and withdrawals so are skipped.
+  const toEntry = function (address, pools, rewards, log) {
+    const name = getEventName(log)
+    const values = decodeLog(name, log)
+    const logAddress = log.address.toLowerCase()
+    const common = {
+      blockNumber: log.blockNumber,
+      logIndex: log.logIndex,
+      transactionHash: log.transactionHash
+    }
+
+    if (name === 'RewardPaid') {
+      const { pool } = rewards.find(
+        r => r.rewardsAddress.toLowerCase() === logAddress
+      )
+      return {
+        type: 'claim',
+        pool: pool.name,
+        address: pool.address,
+        asset: 'VSP',
+        amount: values.reward,
+        shares: null,
+        ...common
+      }
+    }
+
+    const pool = pools.find(p => p.address.toLowerCase() === logAddress)
+
+    if (name === 'Transfer') {
+      const isOut = values.from.toLowerCase() === address.toLowerCase()
+      const counterparty = isOut ? values.to : values.from
+      if (counterparty === ZERO_ADDRESS) {
+        return null
+      }
+      return {
+        type: 'transfer',
+        direction: isOut ? 'out' : 'in',
+        counterparty,
+        pool: pool.name,
+        address: pool.address,
+        asset: pool.asset,
+        amount: null,
+        shares: values.value,
+        ...common
+      }
+    }
+
+    return {
+      type: name === 'Deposit' ? 'deposit' : 'withdraw',
+      pool: pool.name,
+      address: pool.address,
+      asset: pool.asset,
+      amount: values.amount,
+      shares: values.shares,
+      ...common
+    }
+  }
+
+  // Gets the history of deposits, withdrawals, transfers of pool tokens and
+  // claims of VSP rewards of an address from the pool and PoolRewards events.
+  // The transfers of pool tokens done as part of a withdrawal, i.e. to pay
+  // the withdraw fee, are included in the withdrawal.
+  const getHistory = function (address, { fromBlock, pools, toBlock } = {}) {
+    const _address = address || from
+
+    debug('Getting history of %s', _address)
+
+    const addressTopic = toAddressTopic(_address)
+
+    return contractsPromise
+      .then(({ pools: allPools }) => findPools(allPools, pools))
+      .then(selectedPools =>
+        Promise.all([
+          selectedPools,
+          getRewardsAddresses(vesper, selectedPools),
+          toBlock === undefined ? web3.eth.getBlockNumber() : toBlock
+        ])
+      )
+      .then(function ([selectedPools, rewards, _toBlock]) {
+        const _fromBlock =
+          fromBlock === undefined
+            ? Math.min(...selectedPools.map(pool => pool.birthblock || 0))
+            : fromBlock
+        const range = { fromBlock: _fromBlock, toBlock: _toBlock }
+        const poolAddresses = selectedPools.map(pool => pool.address)
+
+        debug('Getting logs of blocks %s-%s', _fromBlock, _toBlock)
+
+        return Promise.all([
+          getPastLogs(web3, {
+            ...range,
+            address: poolAddresses,
+            topics: [
+              [topics.Deposit, topics.Withdraw, topics.Transfer],
+              addressTopic
+            ]
+          }),
+          getPastLogs(web3, {
+            ...range,
+            address: poolAddresses,
+            topics: [topics.Transfer, null, addressTopic]
+          }),
+          rewards.length
+            ? getPastLogs(web3, {
+                ...range,
+                address: rewards.map(({ rewardsAddress }) => rewardsAddress),
+                topics: [topics.RewardPaid, addressTopic]
+              })
+            : []
+        ]).then(logs =>
+          lodash
+            .uniqBy(
+              lodash.flatten(logs),
+              log => `${log.transactionHash}:${log.logIndex}`
+            )
+            .map(log => toEntry(_address, selectedPools, rewards, log))
+            .filter(Boolean)
+        )
+      })
+      .then(function (entries) {
+        const isSameTransaction = (a, b) =>
+          a.address === b.address && a.transactionHash === b.transactionHash
+        const isWithdrawFee = entry =>
+          entry.type === 'transfer' &&
+          entry.direction === 'out' &&
+          entries.some(
+            e => e.type === 'withdraw' && isSameTransaction(e, entry)
+          )
+        // The Withdraw event has the pool tokens burned, net of the fee, so
+        // the ones paid as fee are added back.
+        const addFeeShares = withdrawal =>
+          entries
+            .filter(e => isWithdrawFee(e) && isSameTransaction(e, withdrawal))
+            .reduce(
+              (total, fee) => total.plus(fee.shares),
+              Big(withdrawal.shares)
+            )
+            .toFixed()
+        return entries
+          .filter(entry => !isWithdrawFee(entry))
+          .map(entry =>
+            entry.type === 'withdraw'
+              ? { ...entry, shares: addFeeShares(entry) }
+              : entry
+          )
+      })
+      .then(entries =>
+        Promise.all(
+          lodash
+            .uniq(entries.map(({ blockNumber }) => blockNumber))
+            .map(blockNumber =>
+              web3.eth
+                .getBlock(blockNumber)
+                .then(block => [blockNumber, Number(block.timestamp) * 1000])
+            )
+        ).then(function (timestamps) {
+          const timestampOf = lodash.fromPairs(timestamps)
+          return lodash.sortBy(
+            entries.map(entry => ({
+              ...entry,
+              timestamp: timestampOf[entry.blockNumber]
+            })),
+            ['blockNumber', 'logIndex']
+          )
+        })
+      )
+      .then(
+        pTap(function (entries) {
+          debug('Got %s history entries of %s', entries.length, _address)
+        })
+      )
+  }
+
+  // Values the pool tokens received in a transfer at the token value of the
+  // block they arrived. Requires an archive node for old transfers.
+  const valueTransfer = (pool, entry) =>
+    vesper[pool.address].getTokenValue(entry.blockNumber).then(tokenValue => ({
+      ...entry,
+      amount: Big(
+        fromUnit(Big(entry.shares).times(tokenValue).toFixed())
+      ).toFixed(0)
+    }))
+
+  // Calculates the principal, the realized gains and the claimed VSP of a pool
+  // from its history. When pool tokens are withdrawn or sent, the principal is
+  // reduced proportionally to the pool tokens held, as in the average cost
+  // method, and the withdrawals realize the difference with the assets
+  // received.
+  const accountEntries = entries =>
+    entries.reduce(
+      function (acc, entry) {
+        const { shares, principal } = acc
+        if (entry.type === 'claim') {
+          return { ...acc, claimedVsp: acc.claimedVsp.plus(entry.amount) }
+        }
+        if (entry.type === 'deposit' || entry.direction === 'in') {
+          return {
+            ...acc,
+            shares: shares.plus(entry.shares),
+            principal: principal.plus(entry.amount)
+          }
+        }
+        const cost = shares.gt(0)
+          ? principal.times(entry.shares).div(shares)
+          : Big(0)
+        return {
+          ...acc,
+          shares: shares.minus(entry.shares),
+          principal: principal.minus(cost),
+          realizedGains:
+            entry.type === 'withdraw'
+              ? acc.realizedGains.plus(entry.amount).minus(cost)
+              : acc.realizedGains
+        }
+      },
+      {
+        claimedVsp: Big(0),
+        principal: Big(0),
+        realizedGains: Big(0),
+        shares: Big(0)
+      }
+    )
+
+  // Gets the earnings of an address in each pool it interacted with. The
+  // principal is the net amount of assets deposited, including the value of
+  // the pool tokens received in transfers, and the unrealized gains are the
+  // difference between the current value of the pool tokens and the principal.
+  // All the amounts are in deposit assets except the VSP rewards.
+  const getEarnings = function (address, { pools } = {}) {
+    const _address = address || from
+
+    debug('Getting earnings of %s', _address)
+
+    return Promise.all([contractsPromise, getHistory(_address, { pools })])
+      .then(([{ pools: allPools }, history]) =>
+        Promise.all(
+          allPools
+            .map(pool => ({
+              pool,
+              entries: history.filter(entry => entry.address === pool.address)
+            }))
+            .filter(({ entries }) => entries.length)
+            .map(({ pool, entries }) =>
+              pProps({
+                accounts: Promise.all(
+                  entries.map(entry =>
+                    entry.type === 'transfer' && entry.direction === 'in'
+                      ? valueTransfer(pool, entry)
+                      : entry
+                  )
+                ).then(accountEntries),
+                claimableVsp: vesper[pool.address].getClaimableVsp(_address),
+                value: vesper[pool.address].getDepositedBalance(_address)
+              }).then(({ accounts, claimableVsp, value }) => [
+                pool.name,
+                {
+                  asset: pool.asset,
+                  principal: accounts.principal.toFixed(0),
+                  value,
+                  realizedGains: accounts.realizedGains.toFixed(0),
+                  unrealizedGains: Big(value)
+                    .minus(accounts.principal)
+                    .toFixed(0),
+                  claimedVsp: accounts.claimedVsp.toFixed(0),
+                  claimableVsp
+                }
+              ])
+            )
+        )
+      )
+      .then(lodash.fromPairs)
+      .then(
+        pTap(function (earnings) {
+          debug(
+            'Got earnings of %s in %s',
+            _address,
+            Object.keys(earnings).join(', ') || 'no pools'
+          )
+        })
+      )
+  }
+
+  return { getEarnings, getHistory }
+}
+
+createHistory.findPools = findPools
+createHistory.getRewardsAddresses = getRewardsAddresses
+
+module.exports = createHistory
@@ -3,13 +3,21 @@
 const { tokens } = require('@uniswap/default-token-list')
 const Big = require('big.js')
 const debug = require('debug')('vesper-lib')
+const lodash = require('lodash')
 const vesperMetadata = require('vesper-metadata')
 
 const { fromUnit, toUnit } = require('./utils')
+const createAllowances = require('./allowances')
+const createApy = require('./apy')
+const createBatchProvider = require('./batch-provider')
+const createHistory = require('./history')
+const createKeeper = require('./keeper')
 const createPoolMethods = require('./pool-methods')
 const createPoolsInfo = require('./pools-info')
 const createPortfolio = require('./portfolio')
+const createSubscriptions = require('./subscriptions')
 const createUniswapRouter = require('./uniswap')
+const errors = require('./errors')
 const getContracts = require('./contracts')
 
 // Force Big to round down.
@@ -27,18 +35,74 @@ Big.RM = 0
  */
 const defaultStages = ['prod']
 
+// Makes the calls of the contract methods go through the contract created with
+// the batching web3 instance. The address and call settings of the contract are
+// set on each call as these could change. The default account is not so the
+// calls are batched unless sent from an explicit address.
+const withBatchedCalls = function (contract, callContract) {
+  Object.keys(contract.methods).forEach(function (key) {
+    const createMethod = contract.methods[key]
+    contract.methods[key] = function (...args) {
+      const method = createMethod(...args)
+      method.call = function (...callArgs) {
+        callContract.options.address = contract.options.address
+        callContract.defaultBlock = contract.defaultBlock
+        callContract.handleRevert = contract.handleRevert
+        return callContract.methods[key](...args).call(...callArgs)
+      }
+      return method
+    }
+  })
+  return contract
+}
+
+// Creates a view of the web3 instance where the contracts send their calls over
+// a wrapped provider that batches them. Everything else, like transactions,
+// subscriptions and logs, goes through the given instance, which is not
+// changed.
+const createBatchWeb3 = function (web3, batchOptions) {
+  const callWeb3 = new web3.constructor(createBatchProvider(web3, batchOptions))
+  const Contract = function (jsonInterface, address, contractOptions) {
+    return withBatchedCalls(
+      new web3.eth.Contract(jsonInterface, address, contractOptions),
+      new callWeb3.eth.Contract(jsonInterface, address)
+    )
+  }
+  const eth = new Proxy(web3.eth, {
+    get: (target, prop) => (prop === 'Contract' ? Contract : target[prop])
+  })
+  return new Proxy(web3, {
+    get: (target, prop) => (prop === 'eth' ? eth : target[prop])
+  })
+}
+
 /**
  * Creates an instance of the Vesper lib using the provided Web3 instance.
  *
  * @param {object} web3 An initialized Web3 instance.
  * @param {object} [options] Additional library options.
+ * @param {string} [options.approvalPolicy] Amount to approve before depositing.
+ * @param {boolean|object} [options.batch] Batch the contract calls.
+ * @param {boolean} [options.dryRun] Simulate the transactions instead of sending.
  * @param {string} [options.from] The address used to send transactions from.
  * @param {string} [options.metadata] Vesper metadata overrides for testing.
  * @param {number} [options.overestimation] Gas overestimation factor.
  * @param {string[]} [options.stages] List of pools to instantiate or `['all']`.
+ * @param {boolean} [options.strict] Reject read methods instead of falling back.
+ * @param {boolean} [options.unsigned] Return the transactions instead of sending.
+ * @param {boolean} [options.usePermit] Deposit with permits if supported.
  * @returns {object} The Vesper lib instance.
  */
 function createVesper(web3, options = {}) {
+  // Batch the contract calls sent at once, i.e. by the aggregate reads. The
+  // provider is not wrapped again if it already batches the calls.
+  if (options.batch && !web3.currentProvider.isBatchProvider) {
+    return createVesper(
+      createBatchWeb3(web3, options.batch === true ? {} : options.batch),
+      lodash.omit(options, ['batch'])
+    )
+  }
+
   debug('Creating Vesper library instance')
 
   const { metadata = vesperMetadata, stages = defaultStages } = options
@@ -65,43 +129,85 @@ function createVesper(web3, options = {}) {
 
   // Create an Uniswap router
   const vspAddress = metadata.tokens.find(t => t.symbol === 'VSP').address
-  const router = createUniswapRouter(web3, vspAddress)
+  const router = createUniswapRouter(web3, vspAddress, options)
 
   // Create general methods
-  Object.assign(vesper, createPoolsInfo(contractsPromise, vesper, router))
-  Object.assign(vesper, createPortfolio(contractsPromise, vesper, options))
+  Object.assign(
+    vesper,
+    createPoolsInfo(contractsPromise, vesper, router, { web3 })
+  )
+  Object.assign(
+    vesper,
+    createPortfolio(contractsPromise, vesper, { ...options, web3 })
+  )
+  Object.assign(vesper, createKeeper(contractsPromise, vesper, { web3 }))
+  Object.assign(
+    vesper,
+    createHistory(contractsPromise, vesper, { ...options, web3 })
+  )
+  Object.assign(vesper, createApy(contractsPromise, vesper, { web3 }))
+  Object.assign(vesper, createSubscriptions(contractsPromise, vesper, { web3 }))
 
   // Get the VAK address
   const vakAddress = metadata.support.find(c => c.name === 'MiniArmyKnife')
     .address
 
+  Object.assign(
+    vesper,
+    createAllowances(contractsPromise, vesper, {
+      ...options,
+      vakAddress,
+      web3
+    })
+  )
+
   // Create pool-specific methods
   pools.forEach(function (pool) {
     debug('Adding pool %s methods', pool.name)
-    const methods = createPoolMethods({
-      ...pool,
-      web3,
-      contractsPromise: contractsPromise.then(
-        ({ assetContracts, controllerContracts, poolContracts }) => ({
-          assetContract: assetContracts[pool.asset],
-          controllerContracts,
-          poolContract: poolContracts[pool.address],
-          poolContracts
-        })
-      ),
-      tokens: tokens.concat(metadata.tokens),
-      vakAddress,
-      vspAddress,
-      ...options
-    })
+    const methods = errors.withVesperErrors(
+      createPoolMethods({
+        ...pool,
+        web3,
+        contractsPromise: contractsPromise.then(
+          ({ assetContracts, controllerContracts, poolContracts }) => ({
+            assetContract: assetContracts[pool.asset],
+            controllerContracts,
+            poolContract: poolContracts[pool.address],
+            poolContracts
+          })
+        ),
+        tokens: tokens.concat(metadata.tokens),
+        vakAddress,
+        vspAddress,
+        ...options
+      })
+    )
     vesper[pool.name] = methods
     vesper[pool.address] = methods
   })
 
-  return vesper
+  // Resume an operation at the pool its progress record refers to
+  vesper.resume = function (record, transactionOptions, options) {
+    const methods = vesper[record.pool]
+    if (!methods) {
+      throw new errors.UnknownPoolError(`Unknown pool ${record.pool}`, {
+        pool: record.pool
+      })
+    }
+    return methods.resume(record, transactionOptions, options)
+  }
+
+  // All the general methods reject with the library errors too.
+  return errors.withVesperErrors(vesper)
 }
 
+createVesper.errors = lodash.omit(errors, ['toVesperError', 'withVesperErrors'])
 createVesper.metadata = vesperMetadata
-createVesper.utils = { createUniswapRouter, fromUnit, toUnit }
+createVesper.utils = {
+  createUniswapRouter: (...args) =>
+    errors.withVesperErrors(createUniswapRouter(...args)),
+  fromUnit,
+  toUnit
+}
 
 module.exports = createVesper
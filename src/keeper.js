@@ -0,0 +1,146 @@
+'use strict'
+
+const Big = require('big.js').default
+const debug = require('debug')('vesper-lib:keeper')
+const pSeries = require('p-series')
+const pTap = require('p-tap')
+
+const { getFeeSuggestion } = require('./fee-market')
+const { getPoolStatus } = require('./pools-info')
+
+const createKeeper = (contractsPromise, vesper, { web3 }) => ({
+  // Rebalances, in sequence, all the pools that can be rebalanced. Paused or
+  // stopped pools are skipped and so are all the pools if the gas price is
+  // above the given maximum. A failure in one pool does not prevent the others
+  // from being rebalanced. Only v1 pools are rebalanced by the pool itself,
+  // newer ones are rebalanced through their strategies and are skipped.
+  rebalanceAll({ dryRun, maxGasPrice, stages } = {}, transactionOptions = {}) {
+    debug('Rebalancing pools (%s)', stages ? stages.join(', ') : 'all')
+
+    // Checks if a pool can be rebalanced and returns the reason if not.
+    const getSkipReason = function (pool, poolContract, tokensHere) {
+      if ((pool.version || 1) !== 1) {
+        return Promise.resolve('UNSUPPORTED_VERSION')
+      }
+      return Promise.all([
+        poolContract.methods.paused().call(),
+        poolContract.methods.stopEverything().call()
+      ]).then(function ([paused, stopEverything]) {
+        const status = getPoolStatus(paused, stopEverything)
+        if (status !== 'operative') {
+          return `Pool is ${status}`
+        }
+        if (Big(tokensHere).eq(0)) {
+          return 'No tokens to rebalance'
+        }
+        return vesper[pool.address]
+          .canRebalance(transactionOptions.from)
+          .then(canRebalance => (canRebalance ? null : 'Cannot be rebalanced'))
+      })
+    }
+
+    // Checks the gas price expected to be paid is below the maximum, if set.
+    // In chains supporting EIP-1559, the max fee is also capped so the
+    // rebalance never pays more.
+    const getGasPriceOptions = () =>
+      maxGasPrice
+        ? getFeeSuggestion(web3).then(function (fees) {
+            const gasPrice =
+              transactionOptions.gasPrice ||
+              fees.gasPrice ||
+              Big(fees.baseFeePerGas).plus(fees.maxPriorityFeePerGas)
+            if (Big(gasPrice).gt(maxGasPrice)) {
+              return null
+            }
+            return fees.baseFeePerGas && !transactionOptions.gasPrice
+              ? { maxFeePerGas: `${maxGasPrice}` }
+              : {}
+          })
+        : Promise.resolve({})
+
+    const rebalancePool = function (pool, poolContract) {
+      const skip = reason => ({
+        pool: pool.name,
+        address: pool.address,
+        status: 'skipped',
+        reason
+      })
+
+      return vesper[pool.address]
+        .getTokensHere()
+        .then(tokensHere =>
+          Promise.all([
+            tokensHere,
+            getSkipReason(pool, poolContract, tokensHere)
+          ])
+        )
+        .then(function ([tokensHere, reason]) {
+          if (reason) {
+            return skip(reason)
+          }
+          return getGasPriceOptions().then(function (gasPriceOptions) {
+            if (!gasPriceOptions) {
+              return skip('Gas price above the maximum')
+            }
+            const { emitter, promise } = vesper[pool.address].rebalance(
+              { ...transactionOptions, ...gasPriceOptions },
+              { dryRun }
+            )
+            // Errors are reported in the pool report instead.
+            emitter.on('error', function () {})
+            return promise
+              .then(result =>
+                Promise.all([
+                  result,
+                  result.dryRun ? null : vesper[pool.address].getTokensHere()
+                ])
+              )
+              .then(([result, tokensHereAfter]) => ({
+                pool: pool.name,
+                address: pool.address,
+                status: !result.status
+                  ? 'failed'
+                  : result.dryRun
+                  ? 'simulated'
+                  : 'rebalanced',
+                gasUsed: result.dryRun
+                  ? result.raw[0].gas
+                  : result.raw[0].receipt.gasUsed,
+                fees: result.fees,
+                tokensHere: { before: tokensHere, after: tokensHereAfter },
+                ...(!result.status && { reason: result.revertReason })
+              }))
+          })
+        })
+        .catch(function (err) {
+          debug('Rebalance of %s failed: %s', pool.name, err.message)
+          return {
+            pool: pool.name,
+            address: pool.address,
+            status: 'failed',
+            reason: err.message
+          }
+        })
+        .then(
+          pTap(function (report) {
+            debug(
+              'Pool %s %s%s',
+              pool.name,
+              report.status,
+              report.reason ? `: ${report.reason}` : ''
+            )
+          })
+        )
+    }
+
+    return contractsPromise.then(({ pools, poolContracts }) =>
+      pSeries(
+        pools
+          .filter(pool => !stages || stages.includes(pool.stage))
+          .map(pool => () => rebalancePool(pool, poolContracts[pool.address]))
+      )
+    )
+  }
+})
+
+module.exports = createKeeper
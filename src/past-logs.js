@@ -0,0 +1,56 @@
+'use strict'
+
+const debug = require('debug')('vesper-lib:past-logs')
+
+const { RpcUnavailableError, toVesperError } = require('./errors')
+
+// Blocks queried at once at most.
+const MAX_CHUNK_SIZE = 100000
+
+/**
+ * Gets the logs matching a filter by querying the block range in chunks.
+ *
+ * Providers limiting the range or the number of logs of a query fail for big
+ * chunks so, on failure, the chunk is halved and queried again. After each
+ * successful query, the chunk size doubles back up to the maximum. If a single
+ * block cannot be queried or the node is not available, the call fails.
+ *
+ * @param {object} web3 A web3.js instance.
+ * @param {object} filter The `getPastLogs` filter with numeric block numbers.
+ * @param {number} [maxChunkSize] The maximum number of blocks per query.
+ * @returns {Promise<object[]>} The logs, in block order.
+ */
+function getPastLogs(web3, filter, maxChunkSize = MAX_CHUNK_SIZE) {
+  const { fromBlock, toBlock } = filter
+
+  const step = function (logs, from, chunkSize) {
+    if (from > toBlock) {
+      return Promise.resolve(logs)
+    }
+    const to = Math.min(from + chunkSize - 1, toBlock)
+    return web3.eth
+      .getPastLogs({ ...filter, fromBlock: from, toBlock: to })
+      .then(
+        chunk =>
+          step(
+            logs.concat(chunk),
+            to + 1,
+            Math.min(chunkSize * 2, maxChunkSize)
+          ),
+        function (err) {
+          debug('Could not get logs of blocks %s-%s: %s', from, to, err.message)
+          if (
+            chunkSize === 1 ||
+            toVesperError(err) instanceof RpcUnavailableError
+          ) {
+            throw err
+          }
+          return step(logs, from, Math.floor(chunkSize / 2))
+        }
+      )
+  }
+
+  return step([], fromBlock, maxChunkSize)
+}
+
+module.exports = getPastLogs
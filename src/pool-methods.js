@@ -4,14 +4,27 @@ const Big = require('big.js').default
 const debug = require('debug')('vesper-lib:pool')
 const erc20Abi = require('erc-20-abi')
 const parseReceiptEvents = require('web3-parse-receipt-events')
+const pProps = require('p-props')
 const pTap = require('p-tap')
 
-const { fromUnit, toUnit } = require('./utils')
+const { fromUnit, getPinnedBlock, toUnit } = require('./utils')
+const { calculateRewardsApr, getPoolStatus } = require('./pools-info')
 const aaveLendingPoolAbi = require('./abi/aaveLendingPoolAbi.json')
 const addressListAbi = require('./abi/address-list.json')
+const createBatchProvider = require('./batch-provider')
 const createExecutor = require('./exec-transactions')
 const createUniswapRouter = require('./uniswap')
 const eip1193 = require('./eip-1193')
+const {
+  InvalidAmountError,
+  RpcUnavailableError,
+  toVesperError,
+  UnknownTokenError,
+  UnsupportedOperationError,
+  ValidationError
+} = require('./errors')
+const erc2612Abi = require('./abi/erc-2612.json')
+const multicallAbi = require('./abi/multicall3.json')
 const poolAbi = require('./abi/pool.json')
 const poolRewardsAbi = require('./abi/pool-rewards.json')
 const promiseLoop = require('./promise-loop')
@@ -21,6 +34,51 @@ const vakAbi = require('./abi/mini-army-knife.json')
 
 const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
 
+const aggregate3Abi = multicallAbi.find(item => item.name === 'aggregate3')
+
+const MAX_UINT256 =
+  '115792089237316195423570985008687907853269984665640564039457584007913129639935'
+
+// keccak256('Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)')
+const ERC2612_PERMIT_TYPEHASH =
+  '0x6e71edae12b1b97f4d1f60370fef10105fa2faae0126114a169c64845d6126c9'
+
+// Checks an amount is a positive integer, in the smallest unit.
+const isValidAmount = amount =>
+  /^[0-9]+$/.test(`${amount}`) && Big(amount).gt(0)
+
+// Formats an amount to be logged. Invalid amounts are logged as received so the
+// validations can reject them later instead of failing here.
+const formatAmount = (amount, decimals) =>
+  isValidAmount(amount) ? fromUnit(amount, decimals) : `${amount}`
+
+// Rejects amounts that are not valid.
+const checkAmount = amount =>
+  isValidAmount(amount)
+    ? Promise.resolve()
+    : Promise.reject(
+        new InvalidAmountError(`Invalid amount ${amount}`, {
+          amount: `${amount}`
+        })
+      )
+
+// Gets the amount to approve according to the approval policy: the exact
+// amount, an unlimited amount or a custom amount but not lower than needed.
+const getApprovalAmount = function (approvalPolicy, amount) {
+  if (approvalPolicy === 'exact') {
+    return `${amount}`
+  }
+  if (approvalPolicy === 'unlimited') {
+    return MAX_UINT256
+  }
+  if (!/^[0-9]+$/.test(`${approvalPolicy}`)) {
+    throw new ValidationError(`Invalid approval policy ${approvalPolicy}`, {
+      reason: 'INVALID_ARGUMENT'
+    })
+  }
+  return Big(approvalPolicy).gt(amount) ? `${approvalPolicy}` : `${amount}`
+}
+
 const findReturnValue = (receipt, eventName, prop, address) =>
   []
     .concat(receipt.events[eventName])
@@ -34,13 +92,19 @@ const findReturnValue = (receipt, eventName, prop, address) =>
  *
  * @param {object} params The creation params.
  * @param {string} params.address Address of the pool.
+ * @param {string} [params.approvalPolicy] Amount to approve: exact, unlimited or custom.
  * @param {string} params.asset Name of the deposit asset.
  * @param {Promise} params.contractsPromise The pool and asset contracts.
+ * @param {boolean} [params.dryRun] Simulate the transactions instead of sending.
  * @param {string} [params.from] The default transaction signing address.
+ * @param {string} [params.multicallAddress] The Multicall3 contract address.
  * @param {string} params.name Name of the pool and pool tokens.
  * @param {number} [params.overestimation] The gas over-estimation factor.
+ * @param {boolean} [params.strict] Reject read methods instead of falling back.
  * @param {string} [params.supersededBy] The pool that replaces the current one.
  * @param {object} params.tokens The list of known tokens.
+ * @param {boolean} [params.unsigned] Return the transactions instead of sending.
+ * @param {boolean} [params.usePermit] Deposit with permits if supported.
  * @param {number} params.version The version of the pool's ABI.
  * @param {boolean} params.vakAddress The address of the VAK contract.
  * @param {boolean} params.vspAddress The address of the VSP token contract.
@@ -51,13 +115,19 @@ const findReturnValue = (receipt, eventName, prop, address) =>
 const createPoolMethods = function (params) {
   const {
     address: poolAddress,
+    approvalPolicy = 'exact',
     asset,
     contractsPromise,
+    dryRun = false,
     from,
+    multicallAddress = createBatchProvider.MULTICALL_ADDRESS,
     name,
     overestimation,
+    strict = false,
     supersededBy,
     tokens,
+    unsigned = false,
+    usePermit = false,
     version = 1,
     vakAddress,
     vspAddress,
@@ -67,23 +137,35 @@ const createPoolMethods = function (params) {
 
   const isToken = asset !== 'ETH'
 
-  const assetDecimals = isToken
-    ? tokens.find(t => t.symbol === asset).decimals
-    : 18
+  const assetToken = isToken && tokens.find(t => t.symbol === asset)
+  if (isToken && !assetToken) {
+    throw new UnknownTokenError(`Unknown token ${asset} of ${name}`, {
+      token: asset
+    })
+  }
+
+  const assetDecimals = isToken ? assetToken.decimals : 18
 
   // Expected gas per transaction type.
   const expectedGasFor = {
     approval: 66000,
     claimVsp: 100000,
     deposit: 155000,
+    depositWithPermit: 210000,
     migrate: 350000,
     rebalance: 825000,
+    swap: 200000,
+    transfer: 60000,
     withdraw: 120000,
     withdrawEth: 120000
   }
 
+  // In strict mode, read methods reject instead of falling back to a default
+  // value unless the value does not apply to the pool i.e. it has no rewards.
+  const canFallBack = err => !strict || err instanceof UnsupportedOperationError
+
   // A handy Uniswap router helper.
-  const uniswapRouter = createUniswapRouter(web3, vspAddress)
+  const uniswapRouter = createUniswapRouter(web3, vspAddress, { strict })
 
   // Gets the address of the pool.
   const getAddress = () =>
@@ -99,7 +181,9 @@ const createPoolMethods = function (params) {
               debug('%s deposit asset address is %s (%s)', name, address, asset)
             })
           )
-      : Promise.reject(new Error('Pool asset is ETH, not an ERC20 token'))
+      : Promise.reject(
+          new UnsupportedOperationError('Pool asset is ETH, not an ERC20 token')
+        )
 
   // Gets the value locked in the pool in deposit assets.
   const getTotalValue = function (defaultBlock) {
@@ -179,7 +263,11 @@ const createPoolMethods = function (params) {
               debug('%s strategy contract address is %s', name, strategyAddress)
             })
           )
-      : Promise.reject(new Error(`Cannot get strategy of ${name} v${version}`))
+      : Promise.reject(
+          new UnsupportedOperationError(
+            `Cannot get strategy of ${name} v${version}`
+          )
+        )
   }
 
   // Gets the addresses of the strategy contracts. For v1 pools, it falls back
@@ -209,7 +297,7 @@ const createPoolMethods = function (params) {
   // Instantiate a strategy contract depending on the pool version.
   const getStrategyContract = function (address) {
     if (address === ZERO_ADDRESS) {
-      throw new Error('No strategy contract found')
+      throw new UnsupportedOperationError('No strategy contract found')
     }
 
     return new web3.eth.Contract(
@@ -374,6 +462,9 @@ const createPoolMethods = function (params) {
               name,
               err.message
             )
+            if (!canFallBack(err)) {
+              throw err
+            }
             debug('Assuming %s interest earned is 0.', name)
             return '0'
           })
@@ -403,6 +494,249 @@ const createPoolMethods = function (params) {
     )
   }
 
+  // Calls a read method of the pool contract. This only works for pools
+  // version 3.
+  const callV3 = function (methodName, args, defaultBlock) {
+    return version === 3
+      ? contractsPromise.then(({ poolContract }) =>
+          poolContract.methods[methodName](...args).call({}, defaultBlock)
+        )
+      : Promise.reject(
+          new UnsupportedOperationError(
+            `Cannot call ${methodName} of ${name} v${version}`
+          )
+        )
+  }
+
+  // Gets the members of an AddressList contract.
+  const getAddressListMembers = function (listAddress, defaultBlock) {
+    const list = new web3.eth.Contract(addressListAbi, listAddress)
+    return list.methods
+      .length()
+      .call({}, defaultBlock)
+      .then(length =>
+        Promise.all(
+          new Array(Number.parseInt(length)).fill().map((_, i) =>
+            list.methods
+              .at(i)
+              .call({}, defaultBlock)
+              .then(result => result[0])
+          )
+        )
+      )
+  }
+
+  // Gets the value of a pool token in deposit assets as reported by the pool.
+  // This only works for pools version 3.
+  const getPricePerShare = function (defaultBlock) {
+    debug('Getting %s price per share', name)
+    return callV3('pricePerShare', [], defaultBlock).then(
+      pTap(function (pricePerShare) {
+        debug(
+          '%s price per share is %s %s',
+          name,
+          fromUnit(pricePerShare, assetDecimals),
+          asset
+        )
+      })
+    )
+  }
+
+  // Gets the strategies addresses in the order the pool withdraws from them.
+  // This only works for pools version 3.
+  const getWithdrawQueue = function (defaultBlock) {
+    debug('Getting %s withdraw queue', name)
+    return (version === 3
+      ? contractsPromise.then(({ poolContract }) =>
+          promiseLoop(i =>
+            poolContract.methods.withdrawQueue(i).call({}, defaultBlock)
+          )
+        )
+      : Promise.reject(
+          new UnsupportedOperationError(
+            `Cannot get withdraw queue of ${name} v${version}`
+          )
+        )
+    ).then(
+      pTap(function (withdrawQueue) {
+        debug('%s withdraw queue is %s', name, withdrawQueue.join(', '))
+      })
+    )
+  }
+
+  // Gets the debt of a strategy in deposit assets. This only works for pools
+  // version 3.
+  const getTotalDebtOf = function (strategyAddress, defaultBlock) {
+    debug('Getting %s total debt of %s', name, strategyAddress)
+    return callV3('totalDebtOf', [strategyAddress], defaultBlock).then(
+      pTap(function (totalDebt) {
+        debug(
+          'Total debt of %s is %s %s',
+          strategyAddress,
+          fromUnit(totalDebt, assetDecimals),
+          asset
+        )
+      })
+    )
+  }
+
+  // Gets the ratio of the pool assets lent to the strategies. This only works
+  // for pools version 3.
+  const getTotalDebtRatio = function (defaultBlock) {
+    debug('Getting %s total debt ratio', name)
+    return callV3('totalDebtRatio', [], defaultBlock)
+      .then(totalDebtRatio => Big(fromUnit(totalDebtRatio, 4)).toNumber())
+      .then(
+        pTap(function (totalDebtRatio) {
+          debug('%s total debt ratio is %s%', name, totalDebtRatio * 100)
+        })
+      )
+  }
+
+  // Gets the amount of deposit assets a strategy can still borrow. This only
+  // works for pools version 3.
+  const getAvailableCreditLimit = function (strategyAddress, defaultBlock) {
+    debug('Getting %s available credit limit of %s', name, strategyAddress)
+    return callV3('availableCreditLimit', [strategyAddress], defaultBlock).then(
+      pTap(function (creditLimit) {
+        debug(
+          'Available credit limit of %s is %s %s',
+          strategyAddress,
+          fromUnit(creditLimit, assetDecimals),
+          asset
+        )
+      })
+    )
+  }
+
+  // Gets the amount of deposit assets a strategy owes above its debt limit.
+  // This only works for pools version 3.
+  const getExcessDebt = function (strategyAddress, defaultBlock) {
+    debug('Getting %s excess debt of %s', name, strategyAddress)
+    return callV3('excessDebt', [strategyAddress], defaultBlock).then(
+      pTap(function (excessDebt) {
+        debug(
+          'Excess debt of %s is %s %s',
+          strategyAddress,
+          fromUnit(excessDebt, assetDecimals),
+          asset
+        )
+      })
+    )
+  }
+
+  // Gets the addresses allowed to operate the pool as keepers. This only works
+  // for pools version 3.
+  const getKeepers = function (defaultBlock) {
+    debug('Getting %s keepers', name)
+    return callV3('keepers', [], defaultBlock)
+      .then(listAddress => getAddressListMembers(listAddress, defaultBlock))
+      .then(
+        pTap(function (keepers) {
+          debug('%s keepers are %s', name, keepers.join(', '))
+        })
+      )
+  }
+
+  // Gets the addresses allowed to maintain the pool. This only works for pools
+  // version 3.
+  const getMaintainers = function (defaultBlock) {
+    debug('Getting %s maintainers', name)
+    return callV3('maintainers', [], defaultBlock)
+      .then(listAddress => getAddressListMembers(listAddress, defaultBlock))
+      .then(
+        pTap(function (maintainers) {
+          debug('%s maintainers are %s', name, maintainers.join(', '))
+        })
+      )
+  }
+
+  // Gets the address of the pool governor. This only works for pools
+  // version 3.
+  const getGovernor = function (defaultBlock) {
+    debug('Getting %s governor', name)
+    return callV3('governor', [], defaultBlock).then(
+      pTap(function (governor) {
+        debug('%s governor is %s', name, governor)
+      })
+    )
+  }
+
+  // Gets the configuration and the debt status of a strategy. Fees and ratios
+  // are converted from basis points to fractions. This only works for pools
+  // version 3.
+  const getStrategyInfo = function (strategyAddress, defaultBlock) {
+    debug('Getting %s strategy %s info', name, strategyAddress)
+    return Promise.all([
+      callV3('strategy', [strategyAddress], defaultBlock),
+      getTotalDebtOf(strategyAddress, defaultBlock),
+      getAvailableCreditLimit(strategyAddress, defaultBlock),
+      getExcessDebt(strategyAddress, defaultBlock)
+    ])
+      .then(
+        ([
+          {
+            active,
+            debtRate,
+            debtRatio,
+            interestFee,
+            lastRebalance,
+            totalLoss,
+            totalProfit
+          },
+          totalDebt,
+          availableCreditLimit,
+          excessDebt
+        ]) => ({
+          active,
+          address: strategyAddress,
+          availableCreditLimit,
+          debtRate,
+          debtRatio: Big(fromUnit(debtRatio, 4)).toNumber(),
+          excessDebt,
+          interestFee: Big(fromUnit(interestFee, 4)).toNumber(),
+          lastRebalance: Number.parseInt(lastRebalance),
+          totalDebt,
+          totalLoss,
+          totalProfit
+        })
+      )
+      .then(
+        pTap(function ({ debtRatio }) {
+          debug(
+            '%s strategy %s debt ratio is %s%',
+            name,
+            strategyAddress,
+            debtRatio * 100
+          )
+        })
+      )
+  }
+
+  // Gets how the capital of the pool is allocated across the strategies and
+  // who operates the pool. This only works for pools version 3.
+  const getV3PoolInfo = function (defaultBlock) {
+    debug('Getting %s v3 pool info', name)
+    return pProps({
+      governor: getGovernor(defaultBlock),
+      keepers: getKeepers(defaultBlock),
+      maintainers: getMaintainers(defaultBlock),
+      pricePerShare: getPricePerShare(defaultBlock),
+      strategies: getStrategyAddresses(defaultBlock).then(addresses =>
+        Promise.all(
+          addresses.map(address => getStrategyInfo(address, defaultBlock))
+        )
+      ),
+      totalDebt: getTotalDebt(defaultBlock),
+      totalDebtRatio: getTotalDebtRatio(defaultBlock),
+      withdrawQueue: getWithdrawQueue(defaultBlock)
+    }).then(
+      pTap(function () {
+        debug('Got %s v3 pool info', name)
+      })
+    )
+  }
+
   // Gets the user's balance of pool tokens.
   const getBalance = function (address, defaultBlock) {
     const _address = address || from
@@ -459,7 +793,7 @@ const createPoolMethods = function (params) {
   // Instantiate a PoolRewards contract.
   const getPoolRewardsContract = function (address) {
     if (address === ZERO_ADDRESS) {
-      throw new Error('No rewards contract found')
+      throw new UnsupportedOperationError('No rewards contract found')
     }
 
     return new web3.eth.Contract(poolRewardsAbi, address)
@@ -470,7 +804,7 @@ const createPoolMethods = function (params) {
     const _address = address || from
     debug('Getting claimable rewards of %s', _address)
 
-    return getPoolRewardsAddress()
+    return getPoolRewardsAddress(defaultBlock)
       .then(getPoolRewardsContract)
       .then(poolRewards =>
         Promise.all([
@@ -491,17 +825,23 @@ const createPoolMethods = function (params) {
       )
       .catch(function (err) {
         debug('Could not get claimable rewards in %s: %s', name, err.message)
+        if (!canFallBack(err)) {
+          throw err
+        }
         debug('Assuming claimable rewards in %s is 0 VSP', name)
         return '0'
       })
   }
 
   // Gets the user's balance of pool tokens in deposit asset.
-  const getDepositedBalance = function (address) {
+  const getDepositedBalance = function (address, defaultBlock) {
     const _address = address || from
     debug('Getting deposited %s amount', asset)
 
-    return Promise.all([getBalance(_address), getTokenValue()])
+    return Promise.all([
+      getBalance(_address, defaultBlock),
+      getTokenValue(defaultBlock)
+    ])
       .then(([balance, value]) =>
         Big(fromUnit(Big(balance).times(value).toFixed())).toFixed(0)
       )
@@ -533,14 +873,14 @@ const createPoolMethods = function (params) {
   }
 
   // Checks if the address is in the no-withdraw-fee list of the pool.
-  const isAddressWhitelisted = function (address) {
+  const isAddressWhitelisted = function (address, defaultBlock) {
     debug('Checking if %s is whitelisted for %s', address, name)
 
     return contractsPromise
       .then(({ poolContract }) =>
         version === 1
-          ? poolContract.methods.feeWhiteList().call({})
-          : poolContract.methods.feeWhitelist().call({})
+          ? poolContract.methods.feeWhiteList().call({}, defaultBlock)
+          : poolContract.methods.feeWhitelist().call({}, defaultBlock)
       )
       .then(
         pTap(function (feeWhitelistAddress) {
@@ -550,7 +890,7 @@ const createPoolMethods = function (params) {
       .then(feeWhitelistAddress =>
         new web3.eth.Contract(addressListAbi, feeWhitelistAddress).methods
           .contains(address)
-          .call()
+          .call({}, defaultBlock)
       )
       .then(
         pTap(function (isWhitelisted) {
@@ -577,6 +917,111 @@ const createPoolMethods = function (params) {
       )
   }
 
+  // Gets the pool tokens and deposit assets to receive when withdrawing the
+  // given pool tokens. The withdraw fee is deducted from the gross amount
+  // unless the address is whitelisted. The fee is rounded down as the pool
+  // contracts do.
+  const getWithdrawQuote = function (shares, address, defaultBlock) {
+    const _address = address || from
+
+    return Promise.all([
+      getTokenValue(defaultBlock),
+      getWithdrawFee(defaultBlock),
+      isAddressWhitelisted(_address, defaultBlock)
+    ]).then(function ([tokenValue, withdrawFee, isWhitelisted]) {
+      const feeRate = isWhitelisted ? 0 : withdrawFee
+      const gross = Big(
+        fromUnit(Big(shares).times(tokenValue).toFixed())
+      ).toFixed(0)
+      const fee = Big(gross).times(feeRate).toFixed(0)
+      return {
+        shares: `${shares}`,
+        gross,
+        fee,
+        feeRate,
+        net: Big(gross).minus(fee).toFixed(),
+        tokenValue,
+        decimals: assetDecimals
+      }
+    })
+  }
+
+  // Gets the block tag quotes are taken at: the given one or the latest block
+  // number, read once so all the values refer to the same block.
+  const getQuoteBlock = defaultBlock =>
+    defaultBlock !== undefined
+      ? Promise.resolve(defaultBlock)
+      : web3.eth.getBlockNumber()
+
+  // Quotes the pool tokens to receive when depositing the given amount of
+  // deposit assets. Deposits do not pay fees.
+  const quoteDeposit = function (amount, defaultBlock) {
+    debug(
+      'Quoting deposit of %s %s',
+      formatAmount(amount, assetDecimals),
+      asset
+    )
+
+    return checkAmount(amount)
+      .then(() => getQuoteBlock(defaultBlock))
+      .then(blockNumber =>
+        Promise.all([blockNumber, getTokenValue(blockNumber)])
+      )
+      .then(([blockNumber, tokenValue]) => ({
+        shares: toUnit(Big(amount).div(tokenValue).toFixed()),
+        gross: `${amount}`,
+        fee: '0',
+        feeRate: 0,
+        net: `${amount}`,
+        tokenValue,
+        decimals: assetDecimals,
+        blockNumber
+      }))
+      .then(
+        pTap(function ({ shares }) {
+          debug('Deposit would receive %s %s', fromUnit(shares), name)
+        })
+      )
+  }
+
+  // Quotes the deposit assets to receive when withdrawing. The amount to
+  // withdraw can be set in deposit assets or as `{ shares }` in pool tokens.
+  const quoteWithdraw = function (amountOrShares, address, defaultBlock) {
+    const _address = address || from
+    const isShares = !!amountOrShares && amountOrShares.shares !== undefined
+
+    debug('Quoting withdrawal from %s for %s', name, _address)
+
+    return checkAmount(isShares ? amountOrShares.shares : amountOrShares)
+      .then(() => getQuoteBlock(defaultBlock))
+      .then(blockNumber =>
+        Promise.all([
+          blockNumber,
+          isShares
+            ? amountOrShares.shares
+            : getTokenValue(blockNumber).then(tokenValue =>
+                toUnit(Big(amountOrShares).div(tokenValue).toFixed())
+              )
+        ])
+      )
+      .then(([blockNumber, shares]) =>
+        getWithdrawQuote(shares, _address, blockNumber).then(quote => ({
+          ...quote,
+          blockNumber
+        }))
+      )
+      .then(
+        pTap(function ({ fee, net }) {
+          debug(
+            'Withdrawal would receive %s %s after a fee of %s',
+            fromUnit(net, assetDecimals),
+            asset,
+            fromUnit(fee, assetDecimals)
+          )
+        })
+      )
+  }
+
   // Gets the interest fee.
   const getInterestFee = function (defaultBlock) {
     debug('Getting %s interest fee', name)
@@ -593,7 +1038,8 @@ const createPoolMethods = function (params) {
       )
   }
 
-  // Checks if the pool can be rebalanced.
+  // Checks if the pool can be rebalanced. Only v1 pools are rebalanced by the
+  // pool itself so it is always false for newer ones.
   // TODO For MakerDAO strategies: tokens (in USD) / high water (3) >= 100 USD
   const canRebalance = (address, defaultBlock) =>
     (version === 1
@@ -639,6 +1085,27 @@ const createPoolMethods = function (params) {
       })
     )
 
+  // Gets the amount of deposit assets held by the pool, not yet rebalanced
+  // into the strategy.
+  const getTokensHere = function (defaultBlock) {
+    debug('Getting %s tokens here', name)
+
+    return contractsPromise
+      .then(({ poolContract }) =>
+        poolContract.methods.tokensHere().call({}, defaultBlock)
+      )
+      .then(
+        pTap(function (amount) {
+          debug(
+            '%s tokens here are %s %s',
+            name,
+            fromUnit(amount, assetDecimals),
+            asset
+          )
+        })
+      )
+  }
+
   // Checks if the pool grants VSP rewards.
   const hasVspRewards = function (defaultBlock) {
     debug('Checking if %s grants VSP rewards', name)
@@ -660,8 +1127,10 @@ const createPoolMethods = function (params) {
     )
   }
 
-  // Gets the VSP rewards rate in VSP/sec.
-  const getVspRewardsRate = function (defaultBlock) {
+  // Gets the VSP rewards rate in VSP/sec. The rate is 0 once the rewards
+  // period finished as no more rewards are distributed until a new one starts.
+  // The timestamp of the block, in ms, is read unless given.
+  const getVspRewardsRate = function (defaultBlock, blockTimestamp) {
     debug('Getting %s rewards rate', name)
 
     return getPoolRewardsAddress(defaultBlock)
@@ -669,12 +1138,28 @@ const createPoolMethods = function (params) {
       .then(poolRewards =>
         Promise.all([
           poolRewards.methods.rewardRate().call({}, defaultBlock),
-          poolRewards.methods.rewardToken().call({}, defaultBlock)
+          poolRewards.methods.rewardToken().call({}, defaultBlock),
+          poolRewards.methods.periodFinish().call({}, defaultBlock),
+          blockTimestamp === undefined
+            ? getPinnedBlock(web3, defaultBlock).then(block => block.timestamp)
+            : blockTimestamp
         ])
       )
-      .then(([rate, token]) => (token === vspAddress ? rate : '0'))
+      .then(function ([rate, token, periodFinish, timestamp]) {
+        if (token !== vspAddress) {
+          return '0'
+        }
+        if (Number(periodFinish) * 1000 <= timestamp) {
+          debug('%s rewards period finished', name)
+          return '0'
+        }
+        return rate
+      })
       .catch(function (err) {
         debug('Could not get %s rewards rate:', name, err.message)
+        if (!canFallBack(err)) {
+          throw err
+        }
         return '0'
       })
       .then(
@@ -684,6 +1169,26 @@ const createPoolMethods = function (params) {
       )
   }
 
+  // Gets the annual percentage rate of the VSP rewards on the deposits, from
+  // the rewards rate valued in deposit assets and the total value of the pool.
+  const getRewardsApr = function (defaultBlock) {
+    debug('Getting %s rewards APR', name)
+
+    return Promise.all([
+      getVspRewardsRate(defaultBlock),
+      uniswapRouter.getVspRate(isToken ? asset : 'WETH', defaultBlock),
+      getTotalValue(defaultBlock)
+    ])
+      .then(([rate, vspRate, totalValue]) =>
+        calculateRewardsApr(rate, vspRate, totalValue)
+      )
+      .then(
+        pTap(function (apr) {
+          debug('%s rewards APR is %s', name, apr)
+        })
+      )
+  }
+
   // Gets the value locked in the pool in USDC.
   const getValueLocked = function (defaultBlock) {
     debug('Getting %s value locked', name)
@@ -718,8 +1223,10 @@ const createPoolMethods = function (params) {
   }
 
   // Gets the time when the withdraw lock will expire in ms or 0 if unlocked.
-  // This is only applicable to the vVSP pool.
-  const getWithdrawTimelock = function (address) {
+  // This is only applicable to the vVSP pool. When reading at a given block,
+  // the lock is checked at the time of the block, in ms, which is read unless
+  // given.
+  const getWithdrawTimelock = function (address, defaultBlock, blockTimestamp) {
     if (name !== 'vVSP') {
       debug('Withdraw timelock is not applicable for %s', name)
       return Promise.resolve(0)
@@ -732,17 +1239,25 @@ const createPoolMethods = function (params) {
         Promise.all([
           poolContract.methods
             .depositTimestamp(address)
-            .call()
+            .call({}, defaultBlock)
             .then(Number.parseInt),
-          poolContract.methods.lockPeriod().call().then(Number.parseInt)
+          poolContract.methods
+            .lockPeriod()
+            .call({}, defaultBlock)
+            .then(Number.parseInt),
+          blockTimestamp !== undefined
+            ? blockTimestamp
+            : defaultBlock !== undefined
+            ? getPinnedBlock(web3, defaultBlock).then(block => block.timestamp)
+            : Date.now()
         ])
       )
-      .then(function ([depositTimestamp, lockPeriod]) {
+      .then(function ([depositTimestamp, lockPeriod, timestamp]) {
         if (!depositTimestamp) {
           return 0
         }
         const unlockTime = (depositTimestamp + lockPeriod) * 1000
-        return unlockTime > Date.now() ? unlockTime : 0
+        return unlockTime > timestamp ? unlockTime : 0
       })
       .then(
         pTap(function (timelockExpiration) {
@@ -758,18 +1273,29 @@ const createPoolMethods = function (params) {
 
   // Gets the maximum amount of deposit assets that can withdrawn.
   // For pools investing in Aave v1, this is limited by Aave's liquidity.
-  const getMaxWithdrawAmount = function () {
+  const getMaxWithdrawAmount = function (address) {
     debug("Getting user's maximum withdraw amount from %s", name)
 
     return (
       getStrategyAddress()
         .then(getStrategyContract)
-        .then(strategy => strategy.methods.AAVE_ADDRESSES_PROVIDER().call())
+        .then(strategy =>
+          strategy.methods
+            .AAVE_ADDRESSES_PROVIDER()
+            .call()
+            // Strategies not investing in Aave do not have the provider.
+            .catch(function (err) {
+              if (toVesperError(err) instanceof RpcUnavailableError) {
+                throw err
+              }
+              return null
+            })
+        )
         // Check it is Aave v1 LendingPoolAddressesProvider.
         // See: https://docs.aave.com/developers/v/1.0/deployed-contracts/deployed-contract-instances
         .then(function (address) {
           if (address !== '0x24a42fD28C976A61Df5D00D0599C34c4f90748c8') {
-            throw new Error('Not Aave v1 strategy')
+            throw new UnsupportedOperationError('Not Aave v1 strategy')
           }
         })
         .then(getAssetAddress)
@@ -794,10 +1320,13 @@ const createPoolMethods = function (params) {
         )
         .catch(function (err) {
           debug('Could not get Aave v1 liquidity for %s: %s', name, err.message)
+          if (!canFallBack(err)) {
+            throw err
+          }
           debug('Assuming the whole balance can be withdrawn')
           return null
         })
-        .then(max => Promise.all([max, getDepositedBalance()]))
+        .then(max => Promise.all([max, getDepositedBalance(address)]))
         .then(([max, balance]) => (max && Big(max).lt(balance) ? max : balance))
         .then(
           pTap(function (amount) {
@@ -848,38 +1377,47 @@ const createPoolMethods = function (params) {
     )
   }
 
-  // Asks the user to sign an ERC-2612 permit.
+  // Asks the user to sign an ERC-2612 permit for the given token contract.
   // This method only works when interacting with a provider capable of signing
   // typed data i.e. MetaMask or other wallets. If the message is sent to a
   // public Ethereum node, it will fail as the node does not hold the signing
-  // keys of the user, of course.
-  const signPermit = function (spender, amount, deadline) {
-    debug('Signing permit for %s %s', fromUnit(amount), name)
+  // keys of the user, of course. The permit is signed by the owner of the
+  // tokens, which defaults to the library `from` address.
+  const signTokenPermit = function (token, spender, amount, deadline, owner) {
+    const { contract, decimals, domainVersion, symbol } = token
+    const _owner = owner || from
+
+    debug(
+      'Signing permit for %s %s of %s',
+      fromUnit(amount, decimals),
+      symbol,
+      _owner
+    )
 
     return (
       contractsPromise
         .then(({ poolContract }) =>
           Promise.all([
-            poolContract.methods.name().call(),
+            contract.methods.name().call(),
             poolContract.meta.chainId,
-            poolContract.methods.nonces(from).call()
+            contract.methods.nonces(_owner).call()
           ])
         )
         .then(
-          pTap(function ([poolName, chainId, nonce]) {
+          pTap(function ([tokenName, chainId, nonce]) {
             debug(
               'Building signature for %s at %s with nonce %s',
-              poolName,
+              tokenName,
               chainId,
               nonce
             )
           })
         )
-        .then(([poolName, chainId, nonce]) =>
+        .then(([tokenName, chainId, nonce]) =>
           eip1193.patch(web3.currentProvider).request({
             method: 'eth_signTypedData_v4',
             params: [
-              from,
+              _owner,
               JSON.stringify({
                 types: {
                   EIP712Domain: [
@@ -897,10 +1435,10 @@ const createPoolMethods = function (params) {
                   ]
                 },
                 domain: {
-                  name: poolName,
-                  version: '1',
+                  name: tokenName,
+                  version: domainVersion,
                   chainId,
-                  verifyingContract: poolAddress
+                  verifyingContract: contract.options.address
                 },
                 // The message to sign is a Permit having allowance data:
                 // spender and amount. The nonce is the the one got from the
@@ -908,7 +1446,7 @@ const createPoolMethods = function (params) {
                 // otherwhise.
                 primaryType: 'Permit',
                 message: {
-                  owner: from,
+                  owner: _owner,
                   spender,
                   value: amount,
                   nonce,
@@ -926,88 +1464,432 @@ const createPoolMethods = function (params) {
         }))
         .then(
           pTap(function () {
-            debug('Permit signed for %s %s', fromUnit(amount), name)
+            debug('Permit signed for %s %s', fromUnit(amount, decimals), symbol)
+          })
+        )
+    )
+  }
+
+  // Asks the user to sign an ERC-2612 permit for the pool tokens.
+  const signPermit = (spender, amount, deadline, owner) =>
+    contractsPromise.then(({ poolContract }) =>
+      signTokenPermit(
+        {
+          contract: poolContract,
+          decimals: 18,
+          domainVersion: '1',
+          symbol: name
+        },
+        spender,
+        amount,
+        deadline,
+        owner
+      )
+    )
+
+  // Checks if the deposit asset supports ERC-2612 permits and resolves to the
+  // EIP-712 domain version the token uses or `null` if not supported.
+  //
+  // The token must expose `nonces` and `DOMAIN_SEPARATOR`. The domain version
+  // is found by computing the separator locally for the most common versions
+  // and comparing it with the on-chain one. Tokens with non-standard permits,
+  // like DAI, are discarded by checking the `PERMIT_TYPEHASH` when available.
+  // The nonce of the owner, which defaults to the library `from` address, must
+  // be readable too.
+  const getAssetPermitVersion = function (owner) {
+    const _owner = owner || from
+
+    debug('Checking if %s supports permits', asset)
+
+    const { keccak256 } = web3.utils
+
+    const computeDomainSeparator = (
+      tokenName,
+      domainVersion,
+      chainId,
+      verifyingContract
+    ) =>
+      keccak256(
+        web3.eth.abi.encodeParameters(
+          ['bytes32', 'bytes32', 'bytes32', 'uint256', 'address'],
+          [
+            keccak256(
+              'EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)'
+            ),
+            keccak256(tokenName),
+            keccak256(domainVersion),
+            chainId,
+            verifyingContract
+          ]
+        )
+      )
+
+    return (isToken
+      ? contractsPromise
+          .then(function ({ assetContract, poolContract }) {
+            const permitAssetContract = new web3.eth.Contract(
+              erc2612Abi,
+              assetContract.options.address
+            )
+            return Promise.all([
+              assetContract.options.address,
+              permitAssetContract.methods.name().call(),
+              poolContract.meta.chainId,
+              permitAssetContract.methods.DOMAIN_SEPARATOR().call(),
+              permitAssetContract.methods
+                .PERMIT_TYPEHASH()
+                .call()
+                .catch(() => ERC2612_PERMIT_TYPEHASH),
+              permitAssetContract.methods.nonces(_owner).call()
+            ])
+          })
+          .then(function ([
+            assetAddress,
+            tokenName,
+            chainId,
+            domainSeparator,
+            typehash
+          ]) {
+            if (typehash !== ERC2612_PERMIT_TYPEHASH) {
+              return null
+            }
+            return (
+              ['1', '2'].find(
+                domainVersion =>
+                  computeDomainSeparator(
+                    tokenName,
+                    domainVersion,
+                    chainId,
+                    assetAddress
+                  ) === domainSeparator
+              ) || null
+            )
           })
+          .catch(function (err) {
+            debug('Could not check %s permit support: %s', asset, err.message)
+            return null
+          })
+      : Promise.resolve(null)
+    ).then(
+      pTap(function (domainVersion) {
+        debug(
+          '%s %s permits',
+          asset,
+          domainVersion ? `supports v${domainVersion}` : 'does not support'
         )
+      })
     )
   }
 
-  // Returns a proxy to a method call that needs a permit. The proxy returned
-  // has estimateGas and send props.
+  // Checks if the deposit asset supports ERC-2612 permits.
+  const isAssetPermitSupported = owner =>
+    getAssetPermitVersion(owner).then(domainVersion => !!domainVersion)
+
+  // Prepares a method call that needs a permit. The permit is signed just
+  // before sending the transaction, even if the gas is set and not estimated,
+  // and then the actual method call is built with the signature.
   //
-  // Before estimating the gas, a permit signature is required and the signature
-  // is recorded. Then the actual method call is build and the proper
-  // estimateGas function is called. When it is time to send the transaction,
-  // the recorded signature is used again to build the method call again and
-  // execute its send method.
-  const createProxyMethodCall = function (spender, amount, buildMethodCall) {
-    const deadline = Math.round(Date.now() / 1000) + 900 // T + 15 minutes
-
-    let recordedSignature = {}
-
-    return {
-      estimateGas: (...args) =>
-        signPermit(spender, amount, deadline).then(function (signature) {
-          recordedSignature = signature
-          return buildMethodCall(deadline, signature).estimateGas(...args)
-        }),
-      send: (...args) =>
-        buildMethodCall(deadline, recordedSignature).send(...args)
+  // By default, the permit is signed over the pool tokens. A different signing
+  // function can be provided to sign permits over other tokens.
+  const preparePermitMethodCall = (
+    spender,
+    amount,
+    buildMethodCall,
+    owner,
+    sign = signPermit
+  ) =>
+    function () {
+      const deadline = Math.round(Date.now() / 1000) + 900 // T + 15 minutes
+      return sign(spender, amount, deadline, owner).then(signature =>
+        buildMethodCall(deadline, signature)
+      )
     }
-  }
 
   const executeTransactions = createExecutor({
+    dryRun,
     from,
+    unsigned,
     web3,
     overestimation
   })
 
-  // Deposits assets in the pool and receives pool tokens.
-  const deposit = function (amount, transactionOptions = {}) {
-    debug(
-      'Initiating deposit of %s %s into %s',
-      fromUnit(amount, assetDecimals),
-      asset,
-      name
+  // Describes an operation so its progress record can be used to resume it.
+  const createOperation = (operation, args = []) => ({
+    operation,
+    args,
+    pool: poolAddress
+  })
+
+  // Validates an operation before estimating the gas so it fails with a
+  // specific reason instead of a generic gas estimation error. Deposits need
+  // the pool to be operative and not superseded and enough deposit assets, or
+  // ETH for zap deposits. Withdrawals need the pool not to be stopped, the
+  // vVSP timelock to be expired and enough pool tokens and liquidity.
+  const validate = function (operation, amount, address) {
+    const _address = address || from
+    const isDeposit = ['deposit', 'zapDeposit'].includes(operation)
+    const isWithdraw = ['withdraw', 'withdrawShares', 'withdrawAll'].includes(
+      operation
     )
 
-    const _from = transactionOptions.from || from
+    debug('Validating %s of %s for %s', operation, name, _address)
 
-    // The deposit operation may require an approval if the user is trying to
-    // deposit a token and the current allowance is lower than the amount to
-    // deposit. Once the approval is queued, if needed, then the deposit
-    // transaction is queued up.
-    //
-    // There is a catch for vETH: it deposits ETH, not ERC-20 tokens. Therefore
-    // allowance is not required and the deposit method need to be changed.
-    const transactionsPromise = contractsPromise
-      .then(({ assetContract, poolContract }) =>
+    if (!isDeposit && !isWithdraw) {
+      return Promise.reject(
+        new UnsupportedOperationError(`Cannot validate ${operation}`)
+      )
+    }
+    if (operation !== 'withdrawAll' && !isValidAmount(amount)) {
+      return checkAmount(amount)
+    }
+
+    const validateDeposit = () =>
+      (operation === 'zapDeposit'
+        ? web3.eth.getBalance(_address)
+        : getAssetBalance(_address)
+      ).then(function (balance) {
+        if (Big(balance).lt(amount)) {
+          throw new ValidationError(
+            `Not enough ${
+              operation === 'zapDeposit' ? 'ETH' : asset
+            } balance to deposit`,
+            { reason: 'INSUFFICIENT_BALANCE', balance }
+          )
+        }
+      })
+
+    const validateWithdraw = () =>
+      getWithdrawTimelock(_address)
+        .then(function (unlockTime) {
+          if (unlockTime) {
+            throw new ValidationError(
+              `${name} withdrawals are locked until ${new Date(
+                unlockTime
+              ).toISOString()}`,
+              { reason: 'WITHDRAW_LOCKED', unlockTime }
+            )
+          }
+          return Promise.all([
+            getBalance(_address),
+            getTokenValue(),
+            getMaxWithdrawAmount(_address)
+          ])
+        })
+        .then(function ([balance, tokenValue, maxWithdrawAmount]) {
+          const toAssets = shares =>
+            Big(fromUnit(Big(shares).times(tokenValue).toFixed())).toFixed(0)
+          const requested =
+            operation === 'withdrawAll'
+              ? toAssets(balance)
+              : operation === 'withdrawShares'
+              ? toAssets(amount)
+              : `${amount}`
+          if (
+            Big(balance).eq(0) ||
+            (operation === 'withdrawShares' && Big(amount).gt(balance)) ||
+            (operation === 'withdraw' && Big(amount).gt(toAssets(balance)))
+          ) {
+            throw new ValidationError(
+              Big(balance).eq(0)
+                ? `No ${name} balance to withdraw`
+                : `Not enough ${name} balance to withdraw`,
+              { reason: 'INSUFFICIENT_BALANCE', balance }
+            )
+          }
+          if (Big(requested).gt(maxWithdrawAmount)) {
+            throw new ValidationError(
+              `Cannot withdraw more than ${fromUnit(
+                maxWithdrawAmount,
+                assetDecimals
+              )} ${asset} from ${name}`,
+              { reason: 'ABOVE_MAX_WITHDRAW', maxWithdrawAmount }
+            )
+          }
+        })
+
+    return contractsPromise
+      .then(({ poolContract }) =>
         Promise.all([
-          poolContract,
-          assetContract,
-          isApprovalNeeded(_from, poolAddress, amount)
+          poolContract.methods.paused().call(),
+          poolContract.methods.stopEverything().call()
         ])
       )
-      .then(function ([poolContract, assetContract, approvalNeeded]) {
+      .then(function ([paused, stopEverything]) {
+        const status = getPoolStatus(paused, stopEverything)
+        if (status === 'stopped') {
+          throw new ValidationError(`${name} is stopped`, {
+            reason: 'POOL_STOPPED'
+          })
+        }
+        if (isDeposit && status === 'paused') {
+          throw new ValidationError(`${name} is paused`, {
+            reason: 'POOL_PAUSED'
+          })
+        }
+        if (isDeposit && supersededBy) {
+          throw new ValidationError(
+            `${name} is superseded by ${supersededBy}`,
+            { reason: 'POOL_SUPERSEDED', supersededBy }
+          )
+        }
+        return isDeposit ? validateDeposit() : validateWithdraw()
+      })
+      .then(
+        pTap(function () {
+          debug('Validation of %s of %s passed', operation, name)
+        })
+      )
+      .catch(function (err) {
+        debug('Validation of %s of %s failed: %s', operation, name, err.message)
+        throw err
+      })
+  }
+
+  // Deposits assets in the pool and receives pool tokens.
+  const deposit = function (amount, transactionOptions = {}, options = {}) {
+    debug(
+      'Initiating deposit of %s %s into %s',
+      formatAmount(amount, assetDecimals),
+      asset,
+      name
+    )
+
+    const _from = transactionOptions.from || from
+    const {
+      approvalPolicy: _approvalPolicy = approvalPolicy,
+      unsigned: _unsigned = unsigned,
+      usePermit: _usePermit = usePermit
+    } = options
+
+    // The deposit operation may require an approval if the user is trying to
+    // deposit a token and the current allowance is lower than the amount to
+    // deposit. Once the approval is queued, if needed, then the deposit
+    // transaction is queued up.
+    //
+    // If permits are enabled and the deposit asset supports them, the approval
+    // and the deposit are replaced by a single deposit-with-permit transaction.
+    // Otherwise, it falls back to the approval and deposit transactions. As
+    // permits have to be signed by the user, these are not used when the
+    // transactions are returned unsigned.
+    //
+    // There is a catch for vETH: it deposits ETH, not ERC-20 tokens. Therefore
+    // allowance is not required and the deposit method need to be changed.
+    // When resuming, the deposit may have been sent already and the balances
+    // needed to complete the operation are checked instead.
+    const transactionsPromise = (options.resumeFrom
+      ? Promise.resolve()
+      : validate('deposit', amount, _from)
+    )
+      .then(() => contractsPromise)
+      .then(({ assetContract, poolContract }) =>
+        Promise.all([
+          poolContract,
+          assetContract,
+          isApprovalNeeded(_from, poolAddress, amount)
+        ])
+      )
+      .then(([poolContract, assetContract, approvalNeeded]) =>
+        Promise.all([
+          poolContract,
+          assetContract,
+          approvalNeeded,
+          approvalNeeded && _usePermit && !_unsigned
+            ? getAssetPermitVersion(_from)
+            : null
+        ])
+      )
+      .then(function ([
+        poolContract,
+        assetContract,
+        approvalNeeded,
+        domainVersion
+      ]) {
+        if (domainVersion) {
+          debug('Using permit to deposit %s', asset)
+          const signAssetPermit = (spender, _amount, deadline, owner) =>
+            signTokenPermit(
+              {
+                contract: new web3.eth.Contract(
+                  erc2612Abi,
+                  assetContract.options.address
+                ),
+                decimals: assetDecimals,
+                domainVersion,
+                symbol: asset
+              },
+              spender,
+              _amount,
+              deadline,
+              owner
+            )
+          return [
+            {
+              prepare: preparePermitMethodCall(
+                poolAddress,
+                amount,
+                (deadline, { v, r, s }) =>
+                  poolContract.methods.depositWithPermit(
+                    amount,
+                    deadline,
+                    v,
+                    r,
+                    s
+                  ),
+                _from,
+                signAssetPermit
+              ),
+              suffix: 'deposit',
+              description: `Deposit ${fromUnit(
+                amount,
+                assetDecimals
+              )} ${asset} into ${name} with permit`,
+              gas: expectedGasFor.depositWithPermit,
+              allowance: {
+                token: assetContract.options.address,
+                spender: poolAddress,
+                amount
+              },
+              simulationMethod: poolContract.methods.deposit(amount)
+            }
+          ]
+        }
+
         const txs = []
         if (approvalNeeded) {
+          const approvalAmount = getApprovalAmount(_approvalPolicy, amount)
           txs.push({
-            method: assetContract.methods.approve(poolAddress, amount),
+            method: assetContract.methods.approve(poolAddress, approvalAmount),
             suffix: 'approve',
-            gas: expectedGasFor.approval
+            description: `Approve ${
+              approvalAmount === MAX_UINT256
+                ? 'unlimited'
+                : fromUnit(approvalAmount, assetDecimals)
+            } ${asset} to be deposited into ${name}`,
+            gas: expectedGasFor.approval,
+            allowance: {
+              token: assetContract.options.address,
+              spender: poolAddress,
+              amount: approvalAmount
+            }
           })
         }
+        const description = `Deposit ${fromUnit(
+          amount,
+          assetDecimals
+        )} ${asset} into ${name}`
         txs.push(
           isToken
             ? {
                 method: poolContract.methods.deposit(amount),
                 suffix: 'deposit',
+                description,
                 gas: expectedGasFor.deposit
               }
             : {
                 method: poolContract.methods.deposit(),
                 value: amount,
                 suffix: 'deposit',
+                description,
                 gas: expectedGasFor.deposit
               }
         )
@@ -1044,10 +1926,221 @@ const createPoolMethods = function (params) {
       return { sent, received, decimals: 18 }
     }
 
+    // Estimates the pool tokens to receive when simulating the deposit.
+    const estimateResults = () =>
+      getTokenValue('pending').then(tokenValue => ({
+        sent: amount,
+        received: toUnit(Big(amount).div(tokenValue).toFixed()),
+        decimals: 18
+      }))
+
     return executeTransactions(
       transactionsPromise,
       parseResults,
-      transactionOptions
+      transactionOptions,
+      {
+        ...options,
+        estimateResults,
+        operation: createOperation('deposit', [amount])
+      }
+    )
+  }
+
+  // Swaps ETH for deposit assets in Uniswap and deposits the assets received.
+  // The swap fails if the assets received are below the quote minus the
+  // slippage or if it is mined after the deadline. Then the exact amount
+  // received is approved, if needed, and deposited.
+  const zapDeposit = function (
+    ethAmount,
+    transactionOptions = {},
+    options = {}
+  ) {
+    debug(
+      'Initiating zap deposit of %s ETH into %s',
+      formatAmount(ethAmount),
+      name
+    )
+
+    const _from = transactionOptions.from || from
+    const {
+      approvalPolicy: _approvalPolicy = approvalPolicy,
+      deadline = 1200,
+      slippage = 0.005,
+      unsigned: _unsigned = unsigned
+    } = options
+
+    let assetAddress
+    let quoted
+
+    // Gets the deposit assets received in the swap, which is always the first
+    // transaction of the operation.
+    const getSwapReceived = function ([{ receipt }]) {
+      parseReceiptEvents(erc20Abi, assetAddress, receipt)
+      return []
+        .concat(receipt.events.Transfer || [])
+        .filter(
+          event =>
+            event.address.toLowerCase() === assetAddress.toLowerCase() &&
+            event.returnValues.to.toLowerCase() === _from.toLowerCase()
+        )
+        .map(event => event.returnValues.value)[0]
+    }
+
+    const transactionsPromise = Promise.resolve()
+      .then(function () {
+        // ETH can be deposited directly and wrapped ETH cannot be swapped.
+        if (!isToken || asset === 'WETH') {
+          throw new UnsupportedOperationError(
+            `Zap deposits not supported by ${name}`
+          )
+        }
+        if (!(slippage >= 0 && slippage < 1)) {
+          throw new ValidationError(`Invalid slippage ${slippage}`, {
+            reason: 'INVALID_ARGUMENT'
+          })
+        }
+        // When resuming, the ETH may have been swapped already.
+        return options.resumeFrom
+          ? null
+          : validate('zapDeposit', ethAmount, _from)
+      })
+      .then(() => contractsPromise)
+      .then(({ assetContract, poolContract }) =>
+        uniswapRouter
+          .getAmountOut(ethAmount, ['WETH', assetContract.options.address])
+          .then(quote =>
+            Promise.all([
+              poolContract,
+              assetContract,
+              quote,
+              // The assets received may be above the quote if the price moves
+              // in favor of the user.
+              isApprovalNeeded(
+                _from,
+                poolAddress,
+                Big(quote)
+                  .times(1 + slippage)
+                  .toFixed(0)
+              )
+            ])
+          )
+      )
+      .then(function ([poolContract, assetContract, quote, approvalNeeded]) {
+        assetAddress = assetContract.options.address
+        const amountOutMin = Big(quote)
+          .times(1 - slippage)
+          .toFixed(0)
+
+        debug(
+          'Swap of %s ETH quoted at %s %s, minimum %s',
+          fromUnit(ethAmount),
+          fromUnit(quote, assetDecimals),
+          asset,
+          fromUnit(amountOutMin, assetDecimals)
+        )
+
+        quoted = quote
+
+        // The amount received is known only after the swap. Meanwhile, the
+        // quote is used to simulate the operation and the minimum amount to
+        // build the unsigned transactions.
+        const amount = _unsigned ? amountOutMin : quote
+
+        const txs = [
+          {
+            method: uniswapRouter.getSwapEthForTokensMethod(
+              assetAddress,
+              amountOutMin,
+              _from,
+              Math.round(Date.now() / 1000) + deadline
+            ),
+            value: ethAmount,
+            suffix: 'swap',
+            description: `Swap ${fromUnit(
+              ethAmount
+            )} ETH for at least ${fromUnit(
+              amountOutMin,
+              assetDecimals
+            )} ${asset}`,
+            gas: expectedGasFor.swap,
+            balance: { token: assetAddress, amount }
+          }
+        ]
+        if (approvalNeeded) {
+          const approvalAmount = getApprovalAmount(_approvalPolicy, amount)
+          txs.push({
+            method: assetContract.methods.approve(poolAddress, approvalAmount),
+            prepare: mined =>
+              assetContract.methods.approve(
+                poolAddress,
+                getApprovalAmount(_approvalPolicy, getSwapReceived(mined))
+              ),
+            suffix: 'approve',
+            description: `Approve the ${asset} received to be deposited into ${name}`,
+            gas: expectedGasFor.approval,
+            allowance: {
+              token: assetAddress,
+              spender: poolAddress,
+              amount: approvalAmount
+            }
+          })
+        }
+        txs.push({
+          method: poolContract.methods.deposit(amount),
+          prepare: mined =>
+            poolContract.methods.deposit(getSwapReceived(mined)),
+          suffix: 'deposit',
+          description: `Deposit the ${asset} received into ${name}`,
+          gas: expectedGasFor.deposit
+        })
+
+        return txs
+      })
+
+    const parseResults = function (transactionsData) {
+      const swapped = getSwapReceived(transactionsData)
+      const received = findReturnValue(
+        transactionsData[transactionsData.length - 1].receipt,
+        'Deposit',
+        'shares',
+        poolAddress
+      )
+
+      debug(
+        'Zap deposit of %s ETH into %s completed',
+        fromUnit(ethAmount),
+        name
+      )
+      debug(
+        'Swapped for %s %s and received %s %s',
+        fromUnit(swapped, assetDecimals),
+        asset,
+        fromUnit(received),
+        name
+      )
+
+      return { sent: ethAmount, swapped, received, decimals: 18 }
+    }
+
+    // Estimates the pool tokens to receive from the quote when simulating the
+    // zap deposit.
+    const estimateResults = () =>
+      getTokenValue('pending').then(tokenValue => ({
+        sent: ethAmount,
+        swapped: quoted,
+        received: toUnit(Big(quoted).div(tokenValue).toFixed()),
+        decimals: 18
+      }))
+
+    return executeTransactions(
+      transactionsPromise,
+      parseResults,
+      transactionOptions,
+      {
+        ...options,
+        estimateResults,
+        operation: createOperation('zapDeposit', [ethAmount])
+      }
     )
   }
 
@@ -1060,44 +2153,192 @@ const createPoolMethods = function (params) {
   // balance will be returned instead of the given amount.
   const sweepDust = (tokenAmount, limit = 0.999) =>
     getBalance().then(balance =>
-      Big(tokenAmount).div(balance).toNumber() > limit ? balance : tokenAmount
+      Big(balance).gt(0) && Big(tokenAmount).div(balance).toNumber() > limit
+        ? balance
+        : tokenAmount
     )
 
-  // Withdraws deposit assets from the pool by sending pool tokens back.
-  const withdraw = function (amount, transactionOptions) {
-    debug(
-      'Initiating withdrawal of %s %s from %s',
-      fromUnit(amount, assetDecimals),
-      asset,
-      name
-    )
+  // Simulates a withdrawal at the pending block and gets the deposit assets
+  // the user would receive, after the withdraw fee and any loss taken by the
+  // strategies. The code of the address is overridden with the Multicall3 code
+  // so the pool sees the user as the sender while the asset balance is read
+  // before and after withdrawing in the same call. ETH pools are simulated
+  // withdrawing WETH, paid 1:1 instead of ETH. If Multicall3 is not deployed
+  // or the node does not support state overrides, the assets to receive are
+  // quoted from the token value instead.
+  const simulateWithdrawal = function (tokenAmount, address) {
+    const _address = address || from
+    const { request } = eip1193.patch(web3.currentProvider)
+
+    debug('Simulating withdrawal of %s %s', fromUnit(tokenAmount), name)
+
+    const quote = () =>
+      getWithdrawQuote(tokenAmount, _address, 'pending').then(({ net }) => net)
+
+    return contractsPromise
+      .then(({ assetContract, poolContract }) =>
+        Promise.all([
+          isToken
+            ? assetContract.options.address
+            : poolContract.methods.token().call(),
+          poolContract,
+          request({
+            method: 'eth_getCode',
+            params: [multicallAddress, 'pending']
+          })
+        ])
+      )
+      .then(function ([assetAddress, poolContract, code]) {
+        if (!code || code === '0x') {
+          debug('Multicall3 not available to simulate the withdrawal')
+          return quote()
+        }
+        const balanceOf = [
+          assetAddress,
+          false,
+          new web3.eth.Contract(erc20Abi, assetAddress).methods
+            .balanceOf(_address)
+            .encodeABI()
+        ]
+        const data = web3.eth.abi.encodeFunctionCall(aggregate3Abi, [
+          [
+            balanceOf,
+            [
+              poolAddress,
+              true,
+              poolContract.methods.withdraw(tokenAmount).encodeABI()
+            ],
+            balanceOf
+          ]
+        ])
+        return request({
+          method: 'eth_call',
+          params: [
+            { from: _address, to: _address, data },
+            'pending',
+            { [_address]: { code } }
+          ]
+        })
+          .then(function (result) {
+            const [[before, withdrawal, after]] = Object.values(
+              web3.eth.abi.decodeParameters(aggregate3Abi.outputs, result)
+            )
+            return { before, withdrawal, after }
+          })
+          .catch(function (err) {
+            debug('Could not simulate the withdrawal: %s', err.message)
+            if (toVesperError(err) instanceof RpcUnavailableError) {
+              throw err
+            }
+            return null
+          })
+          .then(function (results) {
+            if (!results) {
+              return quote()
+            }
+            const { before, withdrawal, after } = results
+            if (!withdrawal.success) {
+              throw Object.assign(new Error('execution reverted'), {
+                data: withdrawal.returnData
+              })
+            }
+            const decode = returnData =>
+              web3.eth.abi.decodeParameter('uint256', returnData)
+            return Big(decode(after.returnData))
+              .minus(decode(before.returnData))
+              .toFixed()
+          })
+      })
+      .then(
+        pTap(function (received) {
+          debug(
+            'Withdrawal would receive %s %s',
+            fromUnit(received, assetDecimals),
+            asset
+          )
+        })
+      )
+  }
+
+  // Withdraws deposit assets from the pool by sending the given amount of pool
+  // tokens back.
+  //
+  // Catch for vETH: to receive ETH back instead of WETH, withdrawETH() must be
+  // called.
+  const withdrawTokens = function (
+    tokenAmountPromise,
+    transactionOptions,
+    options,
+    operation
+  ) {
+    const _from = transactionOptions.from || from
+    const { maxSlippage, minReceived } = options
+
+    // Gets the minimum amount to receive. It is either set or calculated from
+    // the amount to receive at the current token value and the max slippage.
+    const getMinAmount = tokenAmount =>
+      minReceived !== undefined
+        ? Promise.resolve(`${minReceived}`)
+        : maxSlippage !== undefined
+        ? getWithdrawQuote(tokenAmount, _from).then(({ net }) =>
+            Big(net)
+              .times(1 - maxSlippage)
+              .toFixed(0)
+          )
+        : Promise.resolve(null)
+
+    // Simulates the withdrawal just before sending it and aborts if the assets
+    // to receive would fall below the minimum.
+    let minAmount = null
+    const checkMinReceived = tokenAmount => () =>
+      getMinAmount(tokenAmount).then(function (min) {
+        minAmount = min
+        if (min === null) {
+          return null
+        }
+
+        return simulateWithdrawal(tokenAmount, _from).then(function (received) {
+          debug(
+            'Expected to receive %s %s (min %s)',
+            fromUnit(received, assetDecimals),
+            asset,
+            fromUnit(min, assetDecimals)
+          )
+          if (Big(received).lt(min)) {
+            throw new ValidationError(
+              `Withdrawal would receive ${fromUnit(
+                received,
+                assetDecimals
+              )} ${asset}, below the minimum of ${fromUnit(
+                min,
+                assetDecimals
+              )} ${asset}`,
+              { reason: 'BELOW_MIN_RECEIVED', minReceived: min, received }
+            )
+          }
+          return null
+        })
+      })
 
-    // The withdraw amount has to be specified in pool tokens but the function
-    // receives the amount in deposit assets so a conversion through the value
-    // of the pool token is required.
-    //
-    // Catch for vETH: to receive ETH back instead of WETH, withdrawETH() must
-    // be called.
     const transactionsPromise = Promise.all([
       contractsPromise,
-      getTokenValue().then(function (tokenValue) {
-        const tokenAmount = toUnit(Big(amount).div(tokenValue).toFixed())
-        return sweepDust(tokenAmount)
-      })
+      tokenAmountPromise
     ]).then(function ([{ poolContract }, tokenAmount]) {
       debug('Sending %s %s', fromUnit(tokenAmount), name)
+      const description = `Withdraw ${asset} from ${name} by sending ${fromUnit(
+        tokenAmount
+      )} ${name}`
+      const method = isToken
+        ? poolContract.methods.withdraw(tokenAmount)
+        : poolContract.methods.withdrawETH(tokenAmount)
       return [
-        isToken
-          ? {
-              method: poolContract.methods.withdraw(tokenAmount),
-              suffix: 'withdraw',
-              gas: expectedGasFor.withdraw
-            }
-          : {
-              method: poolContract.methods.withdrawETH(tokenAmount),
-              suffix: 'withdraw',
-              gas: expectedGasFor.withdraw
-            }
+        {
+          method,
+          suffix: 'withdraw',
+          description,
+          gas: expectedGasFor.withdraw,
+          check: checkMinReceived(tokenAmount)
+        }
       ]
     })
 
@@ -1116,35 +2357,318 @@ const createPoolMethods = function (params) {
       )
       const decimals = assetDecimals
 
-      debug(
-        'Withdrawal of %s %s from %s completed',
-        fromUnit(amount, assetDecimals),
-        asset,
-        name
-      )
+      debug('Withdrawal from %s completed', name)
       debug('Sent %s %s', fromUnit(sent), name)
       debug('Received %s %s', fromUnit(received, assetDecimals), asset)
 
-      return { sent, received, decimals }
+      if (minAmount === null) {
+        return { sent, received, decimals }
+      }
+
+      // The token value may still change between the check and the mining of
+      // the transaction so the amount received is checked again.
+      const shortfall = Big(received).lt(minAmount)
+        ? Big(minAmount).minus(received).toFixed()
+        : '0'
+      if (shortfall !== '0') {
+        debug(
+          'Received %s %s below the minimum',
+          fromUnit(shortfall, assetDecimals),
+          asset
+        )
+      }
+
+      return { sent, received, decimals, minReceived: minAmount, shortfall }
     }
 
+    // Estimates the deposit assets to receive when simulating the withdrawal.
+    const estimateResults = () =>
+      tokenAmountPromise.then(tokenAmount =>
+        simulateWithdrawal(tokenAmount, _from).then(received => ({
+          sent: tokenAmount,
+          received,
+          decimals: assetDecimals
+        }))
+      )
+
     return executeTransactions(
       transactionsPromise,
       parseResults,
-      transactionOptions
+      transactionOptions,
+      { ...options, estimateResults, operation }
+    )
+  }
+
+  // Validates a withdrawal unless it is being resumed. Then the withdrawal may
+  // have been mined already and the balances needed to complete the operation
+  // are checked instead.
+  const validateWithdraw = (operation, amount, address, options) =>
+    options.resumeFrom
+      ? Promise.resolve()
+      : validate(operation, amount, address)
+
+  // Withdraws deposit assets from the pool by sending pool tokens back.
+  const withdraw = function (amount, transactionOptions = {}, options = {}) {
+    debug(
+      'Initiating withdrawal of %s %s from %s',
+      formatAmount(amount, assetDecimals),
+      asset,
+      name
+    )
+
+    const _from = transactionOptions.from || from
+
+    // The withdraw amount has to be specified in pool tokens but the function
+    // receives the amount in deposit assets so a conversion through the value
+    // of the pool token is required.
+    const tokenAmountPromise = validateWithdraw(
+      'withdraw',
+      amount,
+      _from,
+      options
+    )
+      .then(() => getTokenValue())
+      .then(function (tokenValue) {
+        const tokenAmount = toUnit(Big(amount).div(tokenValue).toFixed())
+        return sweepDust(tokenAmount)
+      })
+
+    return withdrawTokens(
+      tokenAmountPromise,
+      transactionOptions,
+      options,
+      createOperation('withdraw', [amount])
+    )
+  }
+
+  // Withdraws deposit assets from the pool by sending the exact amount of pool
+  // tokens back. No conversion from deposit assets is done.
+  const withdrawShares = function (
+    shares,
+    transactionOptions = {},
+    options = {}
+  ) {
+    debug('Initiating withdrawal of %s %s', formatAmount(shares), name)
+
+    const _from = transactionOptions.from || from
+
+    const tokenAmountPromise = validateWithdraw(
+      'withdrawShares',
+      shares,
+      _from,
+      options
+    ).then(() => `${shares}`)
+
+    return withdrawTokens(
+      tokenAmountPromise,
+      transactionOptions,
+      options,
+      createOperation('withdrawShares', [`${shares}`])
+    )
+  }
+
+  // Withdraws all the deposit assets from the pool by sending the whole
+  // balance of pool tokens back.
+  const withdrawAll = function (transactionOptions = {}, options = {}) {
+    debug('Initiating withdrawal of all %s', name)
+
+    const _from = transactionOptions.from || from
+
+    const tokenAmountPromise = validateWithdraw(
+      'withdrawAll',
+      null,
+      _from,
+      options
+    ).then(() => getBalance(_from))
+
+    return withdrawTokens(
+      tokenAmountPromise,
+      transactionOptions,
+      options,
+      createOperation('withdrawAll')
+    )
+  }
+
+  // Encodes a transfer as expected by multiTransfer in pools version 1 and 2:
+  // the recipient address in the upper 160 bits and the amount in the lower 96.
+  const encodeTransferBits = function ({ to, shares }) {
+    const { toBN } = web3.utils
+    if (toBN(shares).bitLength() > 96) {
+      throw new InvalidAmountError(
+        `Amount ${shares} too large for multiTransfer`,
+        { amount: `${shares}` }
+      )
+    }
+    return toBN(to).shln(96).or(toBN(shares)).toString()
+  }
+
+  // Sends pool tokens to one or more recipients and parses the transfers from
+  // the Transfer events. In vVSP, the transfers fail while the withdrawals are
+  // locked so a warning is emitted.
+  const transferShares = function (
+    transfers,
+    transactionOptions,
+    options,
+    operation
+  ) {
+    const _from = transactionOptions.from || from
+
+    // The total is summed once the transfers are validated.
+    const getSent = () =>
+      transfers
+        .reduce((total, { shares }) => total.plus(shares), Big(0))
+        .toFixed()
+
+    const transactionsPromise = Promise.resolve()
+      .then(function () {
+        if (!transfers.length) {
+          throw new ValidationError('No transfers to send', {
+            reason: 'INVALID_ARGUMENT'
+          })
+        }
+        transfers.forEach(function ({ to, shares }) {
+          if (!web3.utils.isAddress(to)) {
+            throw new ValidationError(`Invalid recipient ${to}`, {
+              reason: 'INVALID_ARGUMENT'
+            })
+          }
+          if (!isValidAmount(shares)) {
+            throw new InvalidAmountError(
+              `Invalid amount ${shares} to transfer`,
+              { amount: `${shares}` }
+            )
+          }
+        })
+        return contractsPromise
+      })
+      .then(({ poolContract }) => [
+        {
+          method:
+            operation.operation === 'transfer'
+              ? poolContract.methods.transfer(
+                  transfers[0].to,
+                  transfers[0].shares
+                )
+              : version === 3
+              ? poolContract.methods.multiTransfer(
+                  transfers.map(({ to }) => to),
+                  transfers.map(({ shares }) => shares)
+                )
+              : poolContract.methods.multiTransfer(
+                  transfers.map(encodeTransferBits)
+                ),
+          suffix: 'transfer',
+          description: `Transfer ${fromUnit(getSent())} ${name} to ${
+            transfers.length === 1
+              ? transfers[0].to
+              : `${transfers.length} recipients`
+          }`,
+          gas: expectedGasFor.transfer * transfers.length
+        }
+      ])
+
+    const getWarnings = () =>
+      getWithdrawTimelock(_from).then(unlockTime =>
+        unlockTime
+          ? [
+              {
+                code: 'TIMELOCK_ACTIVE',
+                message: `${name} transfers are locked until ${new Date(
+                  unlockTime
+                ).toISOString()}`,
+                pool: name,
+                unlockTime
+              }
+            ]
+          : []
+      )
+
+    const parseResults = function ([transactionData]) {
+      const received = []
+        .concat(transactionData.receipt.events.Transfer || [])
+        .filter(
+          event =>
+            event.address.toLowerCase() === poolAddress.toLowerCase() &&
+            event.returnValues.from.toLowerCase() === _from.toLowerCase()
+        )
+        .map(event => ({
+          to: event.returnValues.to,
+          shares: event.returnValues.value
+        }))
+
+      const sent = received
+        .reduce((total, { shares }) => total.plus(shares), Big(0))
+        .toFixed()
+
+      debug('Transfer of %s %s completed', fromUnit(sent), name)
+
+      return { sent, transfers: received, decimals: 18 }
+    }
+
+    // The transfers are expected to be sent as requested when simulating.
+    const estimateResults = () => ({
+      sent: getSent(),
+      transfers: transfers.map(({ to, shares }) => ({
+        to,
+        shares: `${shares}`
+      })),
+      decimals: 18
+    })
+
+    return executeTransactions(
+      transactionsPromise,
+      parseResults,
+      transactionOptions,
+      { ...options, estimateResults, getWarnings, operation }
+    )
+  }
+
+  // Transfers pool tokens to another account.
+  const transfer = function (
+    to,
+    shares,
+    transactionOptions = {},
+    options = {}
+  ) {
+    debug('Initiating transfer of %s %s to %s', formatAmount(shares), name, to)
+
+    return transferShares(
+      [{ to, shares }],
+      transactionOptions,
+      options,
+      createOperation('transfer', [to, `${shares}`])
+    )
+  }
+
+  // Transfers pool tokens to several accounts in a single transaction.
+  const multiTransfer = function (
+    transfers,
+    transactionOptions = {},
+    options = {}
+  ) {
+    debug('Initiating transfer of %s to %s accounts', name, transfers.length)
+
+    return transferShares(
+      transfers,
+      transactionOptions,
+      options,
+      createOperation('multiTransfer', [transfers])
     )
   }
 
   // Claims all claimable VSP in the pool.
-  const claimVsp = function (transactionOptions) {
+  const claimVsp = function (transactionOptions, options = {}) {
     debug('Initiating claim of VSP from %s', name)
 
+    const _from = transactionOptions.from || from
+
     const transactionsPromise = getPoolRewardsAddress()
       .then(getPoolRewardsContract)
       .then(poolRewardsContract => [
         {
-          method: poolRewardsContract.methods.claimReward(from),
+          method: poolRewardsContract.methods.claimReward(_from),
           suffix: 'claim',
+          description: `Claim VSP rewards from ${name}`,
           gas: expectedGasFor.claimVsp
         }
       ])
@@ -1162,21 +2686,34 @@ const createPoolMethods = function (params) {
       return { received, decimals: 18 }
     }
 
+    // Estimates the VSP to receive when simulating the claim.
+    const estimateResults = () =>
+      getClaimableVsp(_from, 'pending').then(received => ({
+        received,
+        decimals: 18
+      }))
+
     return executeTransactions(
       transactionsPromise,
       parseResults,
-      transactionOptions
+      transactionOptions,
+      {
+        ...options,
+        estimateResults,
+        operation: createOperation('claimVsp')
+      }
     )
   }
 
   // Rebalances the pool.
-  const rebalance = function (transactionOptions) {
+  const rebalance = function (transactionOptions, options = {}) {
     debug('Initiating rebalance of %s', name)
 
     const transactionsPromise = contractsPromise.then(({ poolContract }) => [
       {
         method: poolContract.methods.rebalance(),
         suffix: 'rebalance',
+        description: `Rebalance ${name}`,
         gas: expectedGasFor.rebalance
       }
     ])
@@ -1190,12 +2727,13 @@ const createPoolMethods = function (params) {
     return executeTransactions(
       transactionsPromise,
       parseResults,
-      transactionOptions
+      transactionOptions,
+      { ...options, operation: createOperation('rebalance') }
     )
   }
 
   // Migrates the maximum amount of deposited assets to a new pool.
-  const migrate = function (transactionOptions = {}) {
+  const migrate = function (transactionOptions = {}, options = {}) {
     debug('Initiating migration from %s', name)
 
     const _from = transactionOptions.from || from
@@ -1217,53 +2755,98 @@ const createPoolMethods = function (params) {
     // approval is needed so VAK can withdraw user tokens from the pool. If this
     // is needed, then a permit has to be signed and then a migrate-with-permit
     // queued. Otherwhise, a plain migrate must be queued.
-    const transactionsPromise = getMigrateAmount()
+    //
+    // When the transactions are returned unsigned, a permit cannot be signed so
+    // an approval is queued before the plain migrate instead.
+    const { unsigned: _unsigned = unsigned } = options
+
+    const tokenAmountPromise = getMigrateAmount()
+
+    const transactionsPromise = tokenAmountPromise
       .then(function (tokenAmount) {
         debug('Amount to migrate is %s %s', fromUnit(tokenAmount), name)
 
         return Promise.all([
           tokenAmount,
-          isApprovalNeeded(_from, vakAddress, tokenAmount, true)
+          isApprovalNeeded(_from, vakAddress, tokenAmount, true),
+          contractsPromise
         ])
       })
-      .then(([tokenAmount, approvalNeeded]) =>
-        approvalNeeded
-          ? [
-              {
-                method: createProxyMethodCall(
-                  vakAddress,
-                  tokenAmount,
-                  (deadline, { v, r, s }) =>
-                    getVakContract().methods.simpleMigrateWithPermit(
-                      poolAddress,
-                      supersededBy,
-                      _from,
-                      vakAddress,
-                      tokenAmount,
-                      deadline,
-                      v,
-                      r,
-                      s
-                    )
-                ),
-                suffix: 'migrate',
-                gas: expectedGasFor.approval + expectedGasFor.migrate
-              }
-            ]
-          : [
-              {
-                method: getVakContract().methods.simpleMigrate(
-                  poolAddress,
-                  supersededBy,
-                  tokenAmount
-                ),
-                suffix: 'migrate',
-                gas: expectedGasFor.migrate
-              }
-            ]
-      )
+      .then(function ([tokenAmount, approvalNeeded, { poolContract }]) {
+        const description = `Migrate ${fromUnit(
+          tokenAmount
+        )} ${name} to ${supersededBy}`
+
+        if (approvalNeeded && !_unsigned) {
+          return [
+            {
+              prepare: preparePermitMethodCall(
+                vakAddress,
+                tokenAmount,
+                (deadline, { v, r, s }) =>
+                  getVakContract().methods.simpleMigrateWithPermit(
+                    poolAddress,
+                    supersededBy,
+                    _from,
+                    vakAddress,
+                    tokenAmount,
+                    deadline,
+                    v,
+                    r,
+                    s
+                  ),
+                _from
+              ),
+              suffix: 'migrate',
+              description: `${description} with permit`,
+              gas: expectedGasFor.approval + expectedGasFor.migrate,
+              allowance: {
+                token: poolAddress,
+                spender: vakAddress,
+                amount: tokenAmount
+              },
+              simulationMethod: getVakContract().methods.simpleMigrate(
+                poolAddress,
+                supersededBy,
+                tokenAmount
+              )
+            }
+          ]
+        }
+
+        const txs = []
+        if (approvalNeeded) {
+          txs.push({
+            method: poolContract.methods.approve(vakAddress, tokenAmount),
+            suffix: 'approve',
+            description: `Approve ${fromUnit(
+              tokenAmount
+            )} ${name} to be migrated`,
+            gas: expectedGasFor.approval,
+            allowance: {
+              token: poolAddress,
+              spender: vakAddress,
+              amount: tokenAmount
+            }
+          })
+        }
+        txs.push({
+          method: getVakContract().methods.simpleMigrate(
+            poolAddress,
+            supersededBy,
+            tokenAmount
+          ),
+          suffix: 'migrate',
+          description,
+          gas: expectedGasFor.migrate
+        })
+
+        return txs
+      })
+
+    const parseResults = function (transactionsData) {
+      const transactionData = transactionsData[transactionsData.length - 1]
 
-    const parseResults = function ([transactionData]) {
       parseReceiptEvents(poolAbi, poolAddress, transactionData.receipt)
       parseReceiptEvents(poolAbi, supersededBy, transactionData.receipt)
 
@@ -1286,10 +2869,168 @@ const createPoolMethods = function (params) {
       return { sent, received, decimals: 18 }
     }
 
+    // Estimates the new pool tokens to receive when simulating the migration.
+    // The assets withdrawn, net of fees, are deposited at the new pool value.
+    const estimateResults = function () {
+      const newPoolContract = new web3.eth.Contract(poolAbi, supersededBy)
+      return Promise.all([
+        tokenAmountPromise,
+        getTokenValue('pending'),
+        getWithdrawFee('pending'),
+        isAddressWhitelisted(vakAddress),
+        newPoolContract.methods.totalSupply().call({}, 'pending'),
+        newPoolContract.methods.totalValue().call({}, 'pending')
+      ]).then(function ([
+        tokenAmount,
+        tokenValue,
+        withdrawFee,
+        isWhitelisted,
+        newTotalSupply,
+        newTotalValue
+      ]) {
+        const assets = Big(
+          fromUnit(Big(tokenAmount).times(tokenValue).toFixed())
+        ).times(1 - (isWhitelisted ? 0 : withdrawFee))
+        return {
+          sent: tokenAmount,
+          received: Big(newTotalValue).gt(0)
+            ? assets.times(newTotalSupply).div(newTotalValue).toFixed(0)
+            : toUnit(fromUnit(assets.toFixed(0), assetDecimals)),
+          decimals: 18
+        }
+      })
+    }
+
     return executeTransactions(
       transactionsPromise,
       parseResults,
-      transactionOptions
+      transactionOptions,
+      {
+        ...options,
+        estimateResults,
+        operation: createOperation('migrate')
+      }
+    )
+  }
+
+  // Checks the state of the step that was pending when the operation stopped.
+  // If it was mined successfully, it is considered completed. If still pending,
+  // the operation cannot be resumed yet.
+  const getPendingStepStatus = function (pending) {
+    if (!pending) {
+      return Promise.resolve(null)
+    }
+
+    debug('Checking pending %s transaction %s', pending.suffix, pending.hash)
+
+    return web3.eth
+      .getTransactionReceipt(pending.hash)
+      .then(function (receipt) {
+        if (receipt) {
+          debug('Transaction %s', receipt.status ? 'was mined' : 'failed')
+          return receipt.status ? pending : null
+        }
+        return web3.eth
+          .getTransaction(pending.hash)
+          .then(function (transaction) {
+            if (transaction) {
+              throw new ValidationError(
+                `Transaction ${pending.hash} is still pending`,
+                { reason: 'TRANSACTION_PENDING' }
+              )
+            }
+            return null
+          })
+      })
+  }
+
+  // Checks the balances needed to run the remaining steps of an operation.
+  const checkResumeBalance = function ({
+    args = [],
+    completed,
+    from: _from,
+    operation
+  }) {
+    const isStepCompleted = suffix =>
+      completed.some(step => step.suffix === suffix)
+
+    if (operation === 'deposit' && !isStepCompleted('deposit')) {
+      const [amount] = args
+      return getAssetBalance(_from).then(function (balance) {
+        if (Big(balance).lt(amount)) {
+          throw new ValidationError(
+            `Not enough ${asset} balance to resume the deposit`,
+            { reason: 'INSUFFICIENT_BALANCE', balance }
+          )
+        }
+      })
+    }
+
+    if (
+      ['withdraw', 'withdrawShares', 'withdrawAll'].includes(operation) &&
+      !isStepCompleted('withdraw')
+    ) {
+      const [amount] = args
+      return validate(operation, amount, _from)
+    }
+
+    if (operation === 'migrate' && !isStepCompleted('migrate')) {
+      return getBalance(_from).then(function (balance) {
+        if (Big(balance).eq(0)) {
+          throw new ValidationError(
+            `No ${name} balance to resume the migration`,
+            { reason: 'INSUFFICIENT_BALANCE', balance }
+          )
+        }
+      })
+    }
+
+    return Promise.resolve()
+  }
+
+  // Resumes an operation from the progress record of a previous attempt. The
+  // queue of transactions is rebuilt from the current on-chain state i.e. the
+  // allowance, and the steps already completed are not sent again.
+  const resume = function (record, transactionOptions = {}, options = {}) {
+    const operations = {
+      claimVsp,
+      deposit,
+      migrate,
+      multiTransfer,
+      rebalance,
+      transfer,
+      withdraw,
+      withdrawAll,
+      withdrawShares,
+      zapDeposit
+    }
+    const { args = [], operation, pool } = record
+
+    if (
+      !operations[operation] ||
+      !pool ||
+      pool.toLowerCase() !== poolAddress.toLowerCase()
+    ) {
+      throw new ValidationError(
+        `Cannot resume ${operation} of pool ${pool} at ${name}`,
+        { reason: 'INVALID_ARGUMENT' }
+      )
+    }
+
+    debug('Resuming %s at %s', operation, name)
+
+    const resumeFrom = getPendingStepStatus(record.pending)
+      .then(pendingStep => ({
+        ...record,
+        completed: record.completed.concat(pendingStep || []),
+        pending: null
+      }))
+      .then(pTap(checkResumeBalance))
+
+    return operations[operation](
+      ...args,
+      { from: record.from, ...transactionOptions },
+      { ...options, resumeFrom }
     )
   }
 
@@ -1303,30 +3044,56 @@ const createPoolMethods = function (params) {
     getAddress,
     getAssetAddress,
     getAssetBalance,
+    getAvailableCreditLimit,
     getBalance,
     getClaimableVsp,
     getContracts,
     getDepositedBalance,
+    getExcessDebt,
+    getGovernor,
     getInterestEarned,
     getInterestFee,
+    getKeepers,
+    getMaintainers,
     getMaxWithdrawAmount,
     getPoolRewardsAddress,
+    getPricePerShare,
+    getRewardsApr,
     getStrategyAddress,
     getStrategyAddresses,
+    getStrategyInfo,
     getStrategyVaultInfo,
+    getTokensHere,
     getTokenValue,
+    getTotalDebt,
+    getTotalDebtOf,
+    getTotalDebtRatio,
     getTotalSupply,
+    getV3PoolInfo,
     getValueLocked,
     getVspRewardsRate,
     getWithdrawFee,
+    getWithdrawQueue,
     getWithdrawTimelock,
     hasVspRewards,
     isAddressWhitelisted,
+    isAssetPermitSupported,
     migrate,
+    multiTransfer,
+    quoteDeposit,
+    quoteWithdraw,
     rebalance,
+    resume,
     signPermit,
-    withdraw
+    transfer,
+    validate,
+    withdraw,
+    withdrawAll,
+    withdrawShares,
+    zapDeposit
   }
 }
 
+createPoolMethods.getApprovalAmount = getApprovalAmount
+
 module.exports = createPoolMethods
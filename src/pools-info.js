@@ -4,58 +4,105 @@ const debug = require('debug')('vesper-lib:info')
 const Big = require('big.js').default
 const pTap = require('p-tap')
 
+const { getPinnedBlock } = require('./utils')
+const { toVesperError } = require('./errors')
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60
+
 const getPoolStatus = (paused, stopped) =>
   stopped ? 'stopped' : paused ? 'paused' : 'operative'
 
-const createPoolsInfo = (contractsPromise, vesper, uniswapRouter) => ({
-  // Returns general information of the pools.
+// Calculates the annual percentage rate of the VSP rewards, i.e. 0.05 for 5%,
+// from the rewards rate in VSP/sec, the VSP rate in deposit assets and the
+// total value of the pool. It is null if the pool has no value.
+const calculateRewardsApr = (vspRewardsRate, vspRate, totalValue) =>
+  !totalValue || Big(totalValue).eq(0)
+    ? null
+    : Number(
+        Big(vspRewardsRate)
+          .times(SECONDS_PER_YEAR)
+          .times(vspRate)
+          .div(1e18)
+          .div(totalValue)
+          .toFixed()
+      )
+
+const createPoolsInfo = (
+  contractsPromise,
+  vesper,
+  uniswapRouter,
+  { web3 }
+) => ({
+  // Returns general information of the pools. All the calls are done at the
+  // same block, the latest one by default, and its number and timestamp are
+  // included in the information of each pool.
   // onPoolFail: Temporary solution for totalValue method in the smart contract failing for some pools.
   // After we migrate to v3, we should not use it again.
-  getPools(stages, { onPoolFail } = {}) {
+  getPools(stages, { defaultBlock, onPoolFail } = {}) {
     debug('Getting pools information (%s)', stages ? stages.join(', ') : 'all')
 
     const handlePoolFail = function (pool) {
       return function (err) {
+        if (onPoolFail) {
+          return onPoolFail({ pool, err: toVesperError(err) })
+        }
         // eslint-disable-next-line promise/no-promise-in-callback
-        return onPoolFail ? onPoolFail({ pool, err }) : Promise.reject(err)
+        return Promise.reject(err)
       }
     }
 
-    return contractsPromise
-      .then(({ pools, poolContracts, assetContracts }) =>
+    return Promise.all([contractsPromise, getPinnedBlock(web3, defaultBlock)])
+      .then(([{ pools, poolContracts, assetContracts }, block]) =>
         Promise.all(
           pools
             .filter(pool => !stages || stages.includes(pool.stage))
             .map(pool =>
               Promise.all([
-                vesper[pool.address].getInterestEarned(),
-                vesper[pool.address].getInterestFee(),
-                vesper[pool.address].getVspRewardsRate(),
+                vesper[pool.address].getInterestEarned(block.blockNumber),
+                vesper[pool.address].getInterestFee(block.blockNumber),
+                vesper[pool.address].getVspRewardsRate(
+                  block.blockNumber,
+                  block.timestamp
+                ),
                 vesper[pool.address]
-                  .getTokenValue()
+                  .getTokenValue(block.blockNumber)
                   .catch(handlePoolFail(pool)),
-                vesper[pool.address].getTotalSupply(),
-                vesper[pool.address].getWithdrawFee(),
-                vesper[pool.address].hasVspRewards(),
-                poolContracts[pool.address].methods.decimals().call(),
-                poolContracts[pool.address].methods.paused().call(),
-                poolContracts[pool.address].methods.stopEverything().call(),
+                vesper[pool.address].getTotalSupply(block.blockNumber),
+                vesper[pool.address].getWithdrawFee(block.blockNumber),
+                vesper[pool.address].hasVspRewards(block.blockNumber),
+                poolContracts[pool.address].methods
+                  .decimals()
+                  .call({}, block.blockNumber),
+                poolContracts[pool.address].methods
+                  .paused()
+                  .call({}, block.blockNumber),
+                poolContracts[pool.address].methods
+                  .stopEverything()
+                  .call({}, block.blockNumber),
                 poolContracts[pool.address].methods
                   .totalValue()
-                  .call()
+                  .call({}, block.blockNumber)
                   .catch(handlePoolFail(pool)),
                 pool.asset === 'ETH'
                   ? '18'
-                  : assetContracts[pool.asset].methods.decimals().call(),
+                  : assetContracts[pool.asset].methods
+                      .decimals()
+                      .call({}, block.blockNumber),
                 pool.asset === 'ETH'
                   ? null
                   : assetContracts[pool.asset].options.address,
                 pool.name === 'vVSP'
-                  ? poolContracts[pool.address].methods.lockPeriod().call()
+                  ? poolContracts[pool.address].methods
+                      .lockPeriod()
+                      .call({}, block.blockNumber)
                   : '0',
                 uniswapRouter.getVspRate(
-                  pool.asset === 'ETH' ? 'WETH' : pool.asset
-                )
+                  pool.asset === 'ETH' ? 'WETH' : pool.asset,
+                  block.blockNumber
+                ),
+                pool.version === 3
+                  ? vesper[pool.address].getV3PoolInfo(block.blockNumber)
+                  : null
               ]).then(
                 ([
                   interestEarned,
@@ -72,7 +119,8 @@ const createPoolsInfo = (contractsPromise, vesper, uniswapRouter) => ({
                   assetDecimals,
                   assetAddress,
                   lockPeriod,
-                  vspRate
+                  vspRate,
+                  v3PoolInfo
                 ]) => ({
                   ...pool,
                   asset: {
@@ -80,6 +128,7 @@ const createPoolsInfo = (contractsPromise, vesper, uniswapRouter) => ({
                     decimals: assetDecimals,
                     symbol: pool.asset
                   },
+                  blockNumber: block.blockNumber,
                   collRewardsRate: Big(vspRewardsRate)
                     .mul(vspRate)
                     .div(1e18)
@@ -88,13 +137,20 @@ const createPoolsInfo = (contractsPromise, vesper, uniswapRouter) => ({
                   interestEarned,
                   interestFee,
                   lockPeriod: Number.parseInt(lockPeriod),
+                  rewardsApr: calculateRewardsApr(
+                    vspRewardsRate,
+                    vspRate,
+                    totalValue
+                  ),
                   status: getPoolStatus(paused, stopEverything),
+                  timestamp: block.timestamp,
                   tokenValue,
                   totalSupply,
                   totalValue,
                   vspRewards,
                   vspRewardsRate,
-                  withdrawFee
+                  withdrawFee,
+                  ...(v3PoolInfo && { v3: v3PoolInfo })
                 })
               )
             )
@@ -111,4 +167,7 @@ const createPoolsInfo = (contractsPromise, vesper, uniswapRouter) => ({
   }
 })
 
+createPoolsInfo.calculateRewardsApr = calculateRewardsApr
+createPoolsInfo.getPoolStatus = getPoolStatus
+
 module.exports = createPoolsInfo
@@ -1,28 +1,469 @@
 'use strict'
 
+const Big = require('big.js').default
 const debug = require('debug')('vesper-lib:portfolio')
 const lodash = require('lodash')
 const pProps = require('p-props')
 const pTap = require('p-tap')
 
-const createPortfolio = (contractsPromise, vesper, { from }) => ({
+const { calculateFee } = require('./fee-market')
+const { fromUnit, getPinnedBlock, toUnit } = require('./utils')
+const { getApprovalAmount } = require('./pool-methods')
+const createExecutor = require('./exec-transactions')
+const { UnknownPoolError, ValidationError } = require('./errors')
+const poolRewardsAbi = require('./abi/pool-rewards.json')
+
+// Expected gas of each claim, used when simulating or building transactions.
+const CLAIM_GAS = 100000
+
+// Expected gas of the approval and deposit into vVSP.
+const APPROVAL_GAS = 66000
+const DEPOSIT_GAS = 155000
+
+// Gets the pools where the claimable VSP is above the minimum. The pools can
+// be limited to the given list of names or addresses.
+const getClaims = function (
+  contractsPromise,
+  vesper,
+  address,
+  { minClaimable = '0', pools: poolsFilter }
+) {
+  const isSelected = pool =>
+    !poolsFilter ||
+    poolsFilter.some(
+      p =>
+        p === pool.name || p.toLowerCase() === `${pool.address}`.toLowerCase()
+    )
+
+  return contractsPromise
+    .then(({ pools }) =>
+      Promise.all(
+        pools
+          .filter(isSelected)
+          .map(pool =>
+            vesper[pool.address]
+              .getClaimableVsp(address)
+              .then(claimable => ({ pool, claimable }))
+          )
+      )
+    )
+    .then(claims =>
+      claims.filter(
+        ({ claimable }) =>
+          Big(claimable).gt(0) && Big(claimable).gte(minClaimable)
+      )
+    )
+    .then(
+      pTap(function (claims) {
+        debug(
+          'Claimable VSP found in %s',
+          claims.map(({ pool }) => pool.name).join(', ') || 'no pools'
+        )
+      })
+    )
+}
+
+// Builds the transaction to claim the VSP rewards of a pool.
+const createClaimTransaction = (web3, vesper, address, { pool, claimable }) =>
+  vesper[pool.address].getPoolRewardsAddress().then(rewardsAddress => ({
+    method: new web3.eth.Contract(
+      poolRewardsAbi,
+      rewardsAddress
+    ).methods.claimReward(address),
+    suffix: `claim-${pool.name}`,
+    description: `Claim ${fromUnit(claimable)} VSP rewards from ${pool.name}`,
+    gas: CLAIM_GAS
+  }))
+
+// Gets the VSP received in a claim transaction.
+const getClaimReceived = function ({ receipt }) {
+  const [event] = [].concat(receipt.events.RewardPaid || [])
+  return event ? event.returnValues.reward : '0'
+}
+
+// Creates the method to claim the VSP rewards of all the pools at once.
+const createClaimAllVsp = function (contractsPromise, vesper, options) {
+  const {
+    dryRun = false,
+    from,
+    overestimation,
+    unsigned = false,
+    web3
+  } = options
+
+  const executeTransactions = createExecutor({
+    dryRun,
+    from,
+    unsigned,
+    web3,
+    overestimation
+  })
+
+  // Claims the VSP rewards of all the pools where the claimable amount is
+  // above the given minimum. The claims are sent in a single operation.
+  return function (address, claimOptions = {}, transactionOptions = {}) {
+    const _address = address || from
+    const { minClaimable = '0' } = claimOptions
+
+    debug('Initiating claim of VSP of %s from all pools', _address)
+
+    const claimsPromise = getClaims(contractsPromise, vesper, _address, {
+      minClaimable
+    })
+
+    // Once the pools with claimable VSP are known, one claim is queued for
+    // each pool.
+    let queuedClaims = []
+    const transactionsPromise = claimsPromise.then(function (claims) {
+      if (!claims.length) {
+        throw new ValidationError('No claimable VSP above the minimum', {
+          reason: 'NOTHING_TO_CLAIM'
+        })
+      }
+
+      queuedClaims = claims
+
+      return Promise.all(
+        claims.map(claim =>
+          createClaimTransaction(web3, vesper, _address, claim)
+        )
+      )
+    })
+
+    // The claims are sent in order so each transaction corresponds to the
+    // claim queued in the same position.
+    const parseResults = function (transactionsData) {
+      const pools = lodash.fromPairs(
+        transactionsData.map((transactionData, i) => [
+          queuedClaims[i].pool.name,
+          {
+            received: getClaimReceived(transactionData),
+            fees: calculateFee(web3, transactionData),
+            decimals: 18
+          }
+        ])
+      )
+      const received = Object.values(pools)
+        .reduce((total, pool) => total.plus(pool.received), Big(0))
+        .toFixed()
+
+      debug('Claim of VSP from all pools completed')
+      debug('Received %s VSP', fromUnit(received))
+
+      return { pools, received, decimals: 18 }
+    }
+
+    // Estimates the VSP to receive from each pool when simulating the claims.
+    const estimateResults = () =>
+      claimsPromise.then(claims =>
+        Promise.all(
+          claims.map(({ pool }) =>
+            vesper[pool.address]
+              .getClaimableVsp(_address, 'pending')
+              .then(received => [pool.name, { received, decimals: 18 }])
+          )
+        ).then(function (pairs) {
+          const pools = lodash.fromPairs(pairs)
+          return {
+            pools,
+            received: Object.values(pools)
+              .reduce((total, pool) => total.plus(pool.received), Big(0))
+              .toFixed(),
+            decimals: 18
+          }
+        })
+      )
+
+    return executeTransactions(
+      transactionsPromise,
+      parseResults,
+      transactionOptions,
+      { ...claimOptions, estimateResults }
+    )
+  }
+}
+
+// Creates the method to claim the VSP rewards and deposit them into vVSP.
+const createCompoundVsp = function (contractsPromise, vesper, options) {
+  const {
+    approvalPolicy = 'exact',
+    dryRun = false,
+    from,
+    overestimation,
+    unsigned = false,
+    web3
+  } = options
+
+  const executeTransactions = createExecutor({
+    dryRun,
+    from,
+    unsigned,
+    web3,
+    overestimation
+  })
+
+  // Claims the VSP rewards of the pools where the claimable amount is above
+  // the given minimum and deposits the VSP received into vVSP. The approval,
+  // if needed, and the deposit are built after the claims are mined so the
+  // exact amount received is deposited. As depositing resets the vVSP withdraw
+  // timelock, the operation is not sent unless the reset is acknowledged.
+  return function (address, compoundOptions = {}, transactionOptions = {}) {
+    const _from = transactionOptions.from || from
+    const _address = address || _from
+    const {
+      acknowledgeTimelock = false,
+      approvalPolicy: _approvalPolicy = approvalPolicy,
+      dryRun: _dryRun = dryRun,
+      minClaimable = '0',
+      pools,
+      unsigned: _unsigned = unsigned
+    } = compoundOptions
+
+    debug('Initiating compound of VSP of %s into vVSP', _address)
+
+    // The VSP claimed is deposited from the sender so it must be the owner of
+    // the rewards.
+    const checkSender = () =>
+      _address.toLowerCase() === `${_from}`.toLowerCase()
+        ? Promise.resolve()
+        : Promise.reject(
+            new ValidationError('Only the sender can compound its VSP', {
+              reason: 'INVALID_ARGUMENT'
+            })
+          )
+
+    const vvspPromise = contractsPromise.then(function ({
+      assetContracts,
+      pools: allPools,
+      poolContracts
+    }) {
+      const vvsp = allPools.find(pool => pool.name === 'vVSP')
+      if (!vvsp) {
+        throw new UnknownPoolError('vVSP pool not available', {
+          pool: 'vVSP'
+        })
+      }
+      return {
+        pool: vvsp,
+        poolContract: poolContracts[vvsp.address],
+        vspContract: assetContracts.VSP
+      }
+    })
+
+    const claimsPromise = checkSender().then(() =>
+      getClaims(contractsPromise, vesper, _address, { minClaimable, pools })
+    )
+
+    // Warns the withdrawals of the vVSP deposited and of any previous vVSP
+    // balance will be locked again.
+    const getWarnings = lodash.once(() =>
+      vvspPromise
+        .then(({ poolContract }) =>
+          Promise.all([
+            poolContract.methods.lockPeriod().call().then(Number.parseInt),
+            poolContract.methods
+              .depositTimestamp(_address)
+              .call()
+              .then(Number.parseInt),
+            vesper.vVSP.getWithdrawTimelock(_address),
+            getPinnedBlock(web3)
+          ])
+        )
+        .then(([lockPeriod, depositTimestamp, unlockTime, block]) => [
+          {
+            code: 'TIMELOCK_RESET',
+            message: `Depositing into vVSP locks the withdrawals for ${lockPeriod} seconds`,
+            pool: 'vVSP',
+            lockPeriod,
+            depositTimestamp,
+            unlockTime,
+            newUnlockTime: block.timestamp + lockPeriod * 1000
+          }
+        ])
+    )
+
+    // Nothing is sent until the timelock reset is acknowledged. Simulations
+    // and unsigned transactions include the warning in the summary instead.
+    const checkTimelockAcknowledged = txs =>
+      acknowledgeTimelock || _dryRun || _unsigned
+        ? txs
+        : getWarnings().then(function ([{ code, message, ...warning }]) {
+            throw new ValidationError(message, { reason: code, ...warning })
+          })
+
+    // The VSP received in the claims, which are the first transactions.
+    let queuedClaims = []
+    const getReceived = transactionsData =>
+      transactionsData
+        .slice(0, queuedClaims.length)
+        .map(getClaimReceived)
+        .reduce((total, received) => total.plus(received), Big(0))
+        .toFixed()
+
+    const transactionsPromise = Promise.all([vvspPromise, claimsPromise])
+      .then(function ([{ pool, poolContract, vspContract }, claims]) {
+        if (!claims.length) {
+          throw new ValidationError('No claimable VSP above the minimum', {
+            reason: 'NOTHING_TO_CLAIM'
+          })
+        }
+
+        queuedClaims = claims
+
+        const claimable = claims
+          .reduce((total, claim) => total.plus(claim.claimable), Big(0))
+          .toFixed()
+
+        return Promise.all([
+          Promise.all(
+            claims.map(claim =>
+              createClaimTransaction(web3, vesper, _address, claim)
+            )
+          ),
+          vspContract.methods.allowance(_address, pool.address).call()
+        ]).then(function ([claimTxs, allowance]) {
+          // When simulating, the VSP of all the claims is added to the balance
+          // once the last claim is simulated.
+          const txs = claimTxs.map((tx, i) =>
+            i === claimTxs.length - 1
+              ? {
+                  ...tx,
+                  balance: {
+                    token: vspContract.options.address,
+                    amount: claimable
+                  }
+                }
+              : tx
+          )
+          // The rewards keep accruing until the claims are mined so the amount
+          // received may be slightly above the claimable amount.
+          if (Big(allowance).lt(Big(claimable).times(1.05))) {
+            const approvalAmount = getApprovalAmount(_approvalPolicy, claimable)
+            txs.push({
+              method: vspContract.methods.approve(pool.address, approvalAmount),
+              prepare: mined =>
+                vspContract.methods.approve(
+                  pool.address,
+                  getApprovalAmount(_approvalPolicy, getReceived(mined))
+                ),
+              suffix: 'approve',
+              description: 'Approve the VSP claimed to be deposited into vVSP',
+              gas: APPROVAL_GAS,
+              allowance: {
+                token: vspContract.options.address,
+                spender: pool.address,
+                amount: approvalAmount
+              }
+            })
+          }
+          txs.push({
+            method: poolContract.methods.deposit(claimable),
+            prepare: mined => poolContract.methods.deposit(getReceived(mined)),
+            suffix: 'deposit',
+            description: 'Deposit the VSP claimed into vVSP',
+            gas: DEPOSIT_GAS
+          })
+          return txs
+        })
+      })
+      .then(checkTimelockAcknowledged)
+
+    const parseResults = function (transactionsData) {
+      const claimed = getReceived(transactionsData)
+      const depositData = transactionsData[transactionsData.length - 1]
+      const [event] = [].concat(depositData.receipt.events.Deposit || [])
+      const received = event ? event.returnValues.shares : '0'
+
+      debug('Compound of VSP into vVSP completed')
+      debug(
+        'Claimed %s VSP and received %s vVSP',
+        fromUnit(claimed),
+        fromUnit(received)
+      )
+
+      return {
+        pools: lodash.fromPairs(
+          queuedClaims.map(({ pool }, i) => [
+            pool.name,
+            { received: getClaimReceived(transactionsData[i]), decimals: 18 }
+          ])
+        ),
+        claimed,
+        received,
+        decimals: 18
+      }
+    }
+
+    // Estimates the vVSP to receive from the VSP claimable at the pending
+    // block when simulating.
+    const estimateResults = () =>
+      claimsPromise.then(claims =>
+        Promise.all([
+          Promise.all(
+            claims.map(({ pool }) =>
+              vesper[pool.address]
+                .getClaimableVsp(_address, 'pending')
+                .then(received => [pool.name, { received, decimals: 18 }])
+            )
+          ),
+          vesper.vVSP.getTokenValue('pending')
+        ]).then(function ([pairs, tokenValue]) {
+          const claimed = pairs
+            .reduce((total, [, { received }]) => total.plus(received), Big(0))
+            .toFixed()
+          return {
+            pools: lodash.fromPairs(pairs),
+            claimed,
+            received: toUnit(Big(claimed).div(tokenValue).toFixed()),
+            decimals: 18
+          }
+        })
+      )
+
+    return executeTransactions(
+      transactionsPromise,
+      parseResults,
+      transactionOptions,
+      { ...compoundOptions, estimateResults, getWarnings }
+    )
+  }
+}
+
+const createPortfolio = (contractsPromise, vesper, { from, ...options }) => ({
   // Returns the pool token balance and equivalent in deposit asset for each
-  // pool.
-  getPortfolio(address) {
+  // pool. All the balances are read at the same block, the latest one by
+  // default, and its number and timestamp are included in each pool.
+  getPortfolio(address, { defaultBlock } = {}) {
     const _address = address || from
 
     debug('Getting portfolio of %s', _address)
 
-    return contractsPromise
-      .then(({ pools }) =>
+    return Promise.all([
+      contractsPromise,
+      getPinnedBlock(options.web3, defaultBlock)
+    ])
+      .then(([{ pools }, block]) =>
         Promise.all(
           pools.map(pool =>
             pProps({
-              assets: vesper[pool.address].getDepositedBalance(_address),
-              claimableVsp: vesper[pool.address].getClaimableVsp(_address),
-              timelock: vesper[pool.address].getWithdrawTimelock(_address),
-              tokens: vesper[pool.address].getBalance(_address)
-            }).then(balances => [pool.name, balances])
+              assets: vesper[pool.address].getDepositedBalance(
+                _address,
+                block.blockNumber
+              ),
+              claimableVsp: vesper[pool.address].getClaimableVsp(
+                _address,
+                block.blockNumber
+              ),
+              timelock: vesper[pool.address].getWithdrawTimelock(
+                _address,
+                block.blockNumber,
+                block.timestamp
+              ),
+              tokens: vesper[pool.address].getBalance(
+                _address,
+                block.blockNumber
+              )
+            }).then(balances => [pool.name, { ...balances, ...block }])
           )
         )
       )
@@ -62,7 +503,17 @@ const createPortfolio = (contractsPromise, vesper, { from }) => ({
           )
         })
       )
-  }
+  },
+
+  claimAllVsp: createClaimAllVsp(contractsPromise, vesper, {
+    from,
+    ...options
+  }),
+
+  compoundVsp: createCompoundVsp(contractsPromise, vesper, {
+    from,
+    ...options
+  })
 })
 
 module.exports = createPortfolio
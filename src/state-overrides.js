@@ -0,0 +1,157 @@
+'use strict'
+
+const debug = require('debug')('vesper-lib:state-overrides')
+const erc20Abi = require('erc-20-abi')
+
+const eip1193 = require('./eip-1193')
+
+// Highest storage slot to probe when looking for the allowances or balances
+// mappings.
+const MAX_SLOT = 20
+
+// An arbitrary value used to find the mapping slots.
+const PROBE_VALUE = '0x5a5a5a5a5a5a5a5a'
+
+// Found mapping slots by mapping and token address.
+const slotsCache = {}
+
+const toWord = (web3, number) =>
+  web3.utils.padLeft(web3.utils.toHex(number), 64)
+
+// Gets the storage key of `allowance[owner][spender]` assuming the mapping is
+// declared at the given slot as Solidity does.
+const getAllowanceKey = function (web3, slot, owner, spender) {
+  const { keccak256 } = web3.utils
+
+  return keccak256(
+    web3.eth.abi.encodeParameters(
+      ['address', 'bytes32'],
+      [
+        spender,
+        keccak256(
+          web3.eth.abi.encodeParameters(['address', 'uint256'], [owner, slot])
+        )
+      ]
+    )
+  )
+}
+
+// Gets the storage key of `balanceOf[owner]` assuming the mapping is declared
+// at the given slot as Solidity does.
+const getBalanceKey = (web3, slot, owner) =>
+  web3.utils.keccak256(
+    web3.eth.abi.encodeParameters(['address', 'uint256'], [owner, slot])
+  )
+
+// Finds the slot of a mapping of a token by overriding the storage of each
+// candidate slot and checking if the getter returns the overridden value. The
+// node must support state overrides in `eth_call`.
+const findMappingSlot = function (web3, token, getter, args, getKey, slot = 0) {
+  if (slot > MAX_SLOT) {
+    return Promise.reject(new Error(`${getter} slot of ${token} not found`))
+  }
+
+  const probe = toWord(web3, PROBE_VALUE)
+  const key = getKey(slot)
+  const data = web3.eth.abi.encodeFunctionCall(
+    erc20Abi.find(item => item.name === getter),
+    args
+  )
+
+  return eip1193
+    .patch(web3.currentProvider)
+    .request({
+      method: 'eth_call',
+      params: [
+        { to: token, data },
+        'pending',
+        { [token]: { stateDiff: { [key]: probe } } }
+      ]
+    })
+    .then(result =>
+      web3.utils.toBN(result).eq(web3.utils.toBN(probe))
+        ? slot
+        : findMappingSlot(web3, token, getter, args, getKey, slot + 1)
+    )
+}
+
+// Gets the slot of a mapping of a token, finding it only once.
+const getMappingSlot = function (web3, token, getter, args, getKey) {
+  const cacheKey = `${getter}:${token.toLowerCase()}`
+
+  return Promise.resolve(
+    slotsCache[cacheKey] !== undefined
+      ? slotsCache[cacheKey]
+      : findMappingSlot(web3, token, getter, args, getKey)
+  ).then(function (slot) {
+    debug('%s mapping of %s is at slot %s', getter, token, slot)
+    slotsCache[cacheKey] = slot
+    return slot
+  })
+}
+
+// Gets a state override that sets the allowance of a token as if an approval
+// was mined.
+const getAllowanceOverride = function (
+  web3,
+  { token, owner, spender, amount }
+) {
+  debug('Getting allowance override of %s', token)
+
+  return getMappingSlot(web3, token, 'allowance', [owner, spender], slot =>
+    getAllowanceKey(web3, slot, owner, spender)
+  ).then(slot => ({
+    [token]: {
+      stateDiff: {
+        [getAllowanceKey(web3, slot, owner, spender)]: toWord(web3, amount)
+      }
+    }
+  }))
+}
+
+// Gets a state override that increases the balance of a token as if a
+// transfer to the owner was mined.
+const getBalanceOverride = function (web3, { token, owner, amount }) {
+  debug('Getting balance override of %s', token)
+
+  const getKey = slot => getBalanceKey(web3, slot, owner)
+
+  return Promise.all([
+    getMappingSlot(web3, token, 'balanceOf', [owner], getKey),
+    new web3.eth.Contract(erc20Abi, token).methods
+      .balanceOf(owner)
+      .call({}, 'pending')
+  ]).then(([slot, balance]) => ({
+    [token]: {
+      stateDiff: {
+        [getKey(slot)]: toWord(
+          web3,
+          web3.utils.toBN(balance).add(web3.utils.toBN(amount))
+        )
+      }
+    }
+  }))
+}
+
+// Merges two state overrides by combining the storage changes of each account.
+const mergeStateOverrides = (a, b) =>
+  Object.keys(b).reduce(
+    (merged, account) => ({
+      ...merged,
+      [account]: {
+        ...merged[account],
+        ...b[account],
+        stateDiff: {
+          ...(merged[account] && merged[account].stateDiff),
+          ...b[account].stateDiff
+        }
+      }
+    }),
+    a
+  )
+
+module.exports = {
+  getAllowanceOverride,
+  getBalanceOverride,
+  mergeStateOverrides
+}
@@ -0,0 +1,306 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+const debug = require('debug')('vesper-lib:subscriptions')
+const lodash = require('lodash')
+
+const { findPools, getRewardsAddresses } = require('./history')
+const { toVesperError, ValidationError } = require('./errors')
+const getPastLogs = require('./past-logs')
+const poolAbi = require('./abi/pool.json')
+const poolRewardsAbi = require('./abi/pool-rewards.json')
+const poolV3Abi = require('./abi/pool-v3.json')
+
+// Blocks polled again on each poll to notice the logs removed by reorgs.
+const REORG_DEPTH = 12
+
+const poolEvents = [
+  'Deposit',
+  'EarningReported',
+  'Open',
+  'Paused',
+  'Shutdown',
+  'Transfer',
+  'Unpaused',
+  'Withdraw'
+]
+
+const rewardsEvents = ['RewardAdded', 'RewardPaid']
+
+// The ABI of the events by name. The pool events are the same in all the pool
+// versions but `EarningReported` is only emitted by v3 pools.
+const eventAbis = lodash.keyBy(
+  lodash.uniqBy(
+    poolAbi
+      .concat(poolV3Abi)
+      .filter(item => item.type === 'event' && poolEvents.includes(item.name))
+      .concat(
+        poolRewardsAbi.filter(
+          item => item.type === 'event' && rewardsEvents.includes(item.name)
+        )
+      ),
+    'name'
+  ),
+  'name'
+)
+
+// Gets the arguments of the events that relate them to an address. The rest
+// of the events affect all the pool users.
+const addressArgs = {
+  Deposit: ['owner'],
+  RewardPaid: ['user'],
+  Transfer: ['from', 'to'],
+  Withdraw: ['owner']
+}
+
+const getLogKey = log => `${log.blockHash}:${log.logIndex}`
+
+const createSubscriptions = function (contractsPromise, vesper, { web3 }) {
+  const topics = lodash.mapValues(eventAbis, event =>
+    web3.eth.abi.encodeEventSignature(event)
+  )
+
+  const getEventName = log =>
+    Object.keys(topics).find(name => topics[name] === log.topics[0])
+
+  // Checks if the provider can push logs. Providers not telling, like EIP-1193
+  // ones, are expected to do so if these can emit events.
+  const supportsSubscriptions = function () {
+    const provider = web3.currentProvider
+    if (!provider) {
+      return false
+    }
+    return typeof provider.supportsSubscriptions === 'function'
+      ? provider.supportsSubscriptions()
+      : typeof provider.on === 'function'
+  }
+
+  // Subscribes to the events of the pools and their PoolRewards contracts.
+  // The logs are pushed by the node if the provider supports subscriptions
+  // or polled on each interval otherwise, falling back to polling if the
+  // subscription fails. Logs already emitted are not emitted again and logs
+  // removed by a reorg are emitted as `removed`.
+  const subscribe = function ({
+    address,
+    events = poolEvents.concat(rewardsEvents),
+    pollingInterval = 15000,
+    pools
+  } = {}) {
+    const unknownEvents = events.filter(name => !eventAbis[name])
+    if (unknownEvents.length) {
+      throw new ValidationError(`Unknown events ${unknownEvents.join(', ')}`, {
+        reason: 'INVALID_ARGUMENT'
+      })
+    }
+
+    debug('Subscribing to %s', events.join(', '))
+
+    const emitter = new EventEmitter()
+    const seen = new Map()
+    let lastBlock = 0
+    let stop = lodash.noop
+    let stopped = false
+
+    const emitError = function (err) {
+      debug('Subscription failed: %s', err.message)
+      if (!stopped && emitter.listenerCount('error')) {
+        emitter.emit('error', toVesperError(err))
+      }
+    }
+
+    // Forgets the logs too old to be removed by a reorg.
+    const prune = function () {
+      seen.forEach(function (event, key) {
+        if (event.blockNumber < lastBlock - REORG_DEPTH) {
+          seen.delete(key)
+        }
+      })
+    }
+
+    const remove = function (key) {
+      const event = seen.get(key)
+      if (event && !stopped) {
+        seen.delete(key)
+        emitter.emit('removed', event)
+      }
+    }
+
+    // Converts a log into an event with the decoded arguments. The events of
+    // other addresses are skipped.
+    const toEvent = function (selectedPools, rewards, log) {
+      const name = getEventName(log)
+      const { inputs } = eventAbis[name]
+      const values = lodash.pick(
+        web3.eth.abi.decodeLog(inputs, log.data, log.topics.slice(1)),
+        inputs.map(input => input.name)
+      )
+      if (
+        address &&
+        addressArgs[name] &&
+        !addressArgs[name].some(
+          arg => values[arg].toLowerCase() === address.toLowerCase()
+        )
+      ) {
+        return null
+      }
+      const logAddress = log.address.toLowerCase()
+      const pool = rewardsEvents.includes(name)
+        ? rewards.find(r => r.rewardsAddress.toLowerCase() === logAddress).pool
+        : selectedPools.find(p => p.address.toLowerCase() === logAddress)
+      return {
+        event: name,
+        pool: pool.name,
+        address: pool.address,
+        ...values,
+        blockHash: log.blockHash,
+        blockNumber: log.blockNumber,
+        logIndex: log.logIndex,
+        transactionHash: log.transactionHash
+      }
+    }
+
+    const handleLog = function (selectedPools, rewards, log) {
+      if (stopped) {
+        return
+      }
+      const key = getLogKey(log)
+      if (log.removed) {
+        remove(key)
+        return
+      }
+      lastBlock = Math.max(lastBlock, log.blockNumber)
+      if (seen.has(key)) {
+        return
+      }
+      const event = toEvent(selectedPools, rewards, log)
+      if (event) {
+        seen.set(key, event)
+        emitter.emit('event', event)
+      }
+    }
+
+    // Polls the logs of the new blocks and of the last ones, that may have
+    // changed because of a reorg.
+    const startPolling = function (filter, handle, fromBlock) {
+      let nextBlock = Math.max(fromBlock, lastBlock + 1)
+      let timer
+
+      const poll = () =>
+        web3.eth
+          .getBlockNumber()
+          .then(function (blockNumber) {
+            if (blockNumber < nextBlock) {
+              return null
+            }
+            const range = {
+              fromBlock: Math.max(fromBlock, nextBlock - REORG_DEPTH),
+              toBlock: blockNumber
+            }
+            return getPastLogs(web3, { ...filter, ...range }).then(function (
+              logs
+            ) {
+              const keys = logs.map(getLogKey)
+              Array.from(seen.keys())
+                .filter(
+                  key =>
+                    seen.get(key).blockNumber >= range.fromBlock &&
+                    !keys.includes(key)
+                )
+                .forEach(remove)
+              logs.forEach(handle)
+              lastBlock = Math.max(lastBlock, blockNumber)
+              nextBlock = blockNumber + 1
+              prune()
+              return null
+            })
+          })
+          .catch(emitError)
+          .then(function () {
+            if (!stopped) {
+              timer = setTimeout(poll, pollingInterval)
+            }
+            return null
+          })
+
+      debug('Polling logs from block %s', nextBlock)
+      emitter.emit('subscribed', { mode: 'polling' })
+      poll()
+
+      return function () {
+        clearTimeout(timer)
+      }
+    }
+
+    // Subscribes to the logs pushed by the node.
+    const startSubscription = function (filter, handle, fromBlock) {
+      const subscription = web3.eth.subscribe('logs', filter)
+      subscription.on('connected', function () {
+        debug('Subscribed to logs')
+        emitter.emit('subscribed', { mode: 'logs' })
+      })
+      subscription.on('data', function (log) {
+        handle(log)
+        prune()
+      })
+      subscription.on('changed', handle)
+      subscription.on('error', function (err) {
+        debug('Log subscription failed: %s', err.message)
+        subscription.unsubscribe()
+        if (!stopped) {
+          stop = startPolling(filter, handle, fromBlock)
+        }
+      })
+
+      return function () {
+        subscription.unsubscribe()
+      }
+    }
+
+    contractsPromise
+      .then(({ pools: allPools }) => findPools(allPools, pools))
+      .then(selectedPools =>
+        Promise.all([
+          selectedPools,
+          events.some(name => rewardsEvents.includes(name))
+            ? getRewardsAddresses(vesper, selectedPools)
+            : [],
+          web3.eth.getBlockNumber()
+        ])
+      )
+      .then(function ([selectedPools, rewards, blockNumber]) {
+        const filter = {
+          address: (events.some(name => poolEvents.includes(name))
+            ? selectedPools.map(pool => pool.address)
+            : []
+          ).concat(rewards.map(({ rewardsAddress }) => rewardsAddress)),
+          topics: [events.map(name => topics[name])]
+        }
+        if (stopped || !filter.address.length) {
+          debug('Nothing to subscribe to')
+          return null
+        }
+        const handle = log => handleLog(selectedPools, rewards, log)
+        stop = (supportsSubscriptions() ? startSubscription : startPolling)(
+          filter,
+          handle,
+          blockNumber + 1
+        )
+        return null
+      })
+      .catch(emitError)
+
+    // Stops emitting events.
+    const unsubscribe = function () {
+      debug('Unsubscribing from %s', events.join(', '))
+      stopped = true
+      stop()
+      seen.clear()
+    }
+
+    return { emitter, unsubscribe }
+  }
+
+  return { subscribe }
+}
+
+module.exports = createSubscriptions
@@ -6,40 +6,53 @@ const pTap = require('p-tap')
 
 const uniswapV2Router02Abi = require('./abi/uniswap-v2-router-02.json')
 const { fromUnit } = require('./utils')
+const { UnknownTokenError } = require('./errors')
 
 const uniswapV2Router02Address = '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D'
 
-const createUniswapRouter = function (web3, vspAddress) {
+const createUniswapRouter = function (web3, vspAddress, { strict } = {}) {
   const uniswapV2Router02 = new web3.eth.Contract(
     uniswapV2Router02Abi,
     uniswapV2Router02Address
   )
 
+  // Finds an ERC-20 token in the Uniswap list by symbol.
+  const findToken = function (symbol) {
+    const token = tokens.find(t => t.symbol === symbol)
+    if (!token) {
+      throw new UnknownTokenError(`Unknown token ${symbol}`, { token: symbol })
+    }
+    return token
+  }
+
   // Gets the address of an ERC-20 token by symbol - hacked for VSP
+  // Addresses are returned as is.
   const getTokenAddressOf = symbol =>
-    symbol === 'VSP'
+    web3.utils.isAddress(symbol)
+      ? symbol
+      : symbol === 'VSP'
       ? vspAddress
-      : tokens.find(token => token.symbol === symbol).address
+      : findToken(symbol).address
 
   // Gets the address of an ERC-20 token by symbol - hacked for VSP
   const getTokenDecimalsOf = symbol =>
-    symbol === 'VSP'
-      ? 18
-      : tokens.find(token => token.symbol === symbol).decimals
+    symbol === 'VSP' ? 18 : findToken(symbol).decimals
 
   // Gets the amounts of tokens to get in a swap
-  const getAmountOut = function (amount, tokensPath, defaultBlock) {
-    return uniswapV2Router02.methods
-      .getAmountsOut(amount, tokensPath.map(getTokenAddressOf))
-      .call({}, defaultBlock)
+  const getAmountOut = (amount, tokensPath, defaultBlock) =>
+    Promise.resolve(tokensPath)
+      .then(path =>
+        uniswapV2Router02.methods
+          .getAmountsOut(amount, path.map(getTokenAddressOf))
+          .call({}, defaultBlock)
+      )
       .then(amounts => amounts[amounts.length - 1])
-  }
 
   const oneVsp = '1000000000000000000'
 
   // Gets the VSP rate in WETH or in another token.
   // For tokens other than WETH, the router must go through WETH first,
-  // otherwise it throws an error.
+  // otherwise it throws an error. The rate falls back to 0 unless strict.
   const getVspRate = function (toToken, defaultBlock) {
     debug('Getting VSP/%s rate', toToken)
     return (vspAddress
@@ -48,10 +61,15 @@ const createUniswapRouter = function (web3, vspAddress) {
         : toToken === 'WETH'
         ? getAmountOut(oneVsp, ['VSP', 'WETH'], defaultBlock)
         : getAmountOut(oneVsp, ['VSP', 'WETH', toToken], defaultBlock)
-      : Promise.reject(new Error('VSP address missing'))
+      : Promise.reject(
+          new UnknownTokenError('VSP address missing', { token: 'VSP' })
+        )
     )
       .catch(function (err) {
         debug('Could not get VSP/%s rate: %s', toToken, err.message)
+        if (strict) {
+          throw err
+        }
         return '0'
       })
       .then(
@@ -65,19 +83,36 @@ const createUniswapRouter = function (web3, vspAddress) {
       )
   }
 
+  // Gets the method call to swap ETH for tokens. The swap fails if the tokens
+  // received are below the minimum or if mined after the deadline.
+  const getSwapEthForTokensMethod = (
+    tokenAddress,
+    amountOutMin,
+    to,
+    deadline
+  ) =>
+    uniswapV2Router02.methods.swapExactETHForTokens(
+      amountOutMin,
+      [getTokenAddressOf('WETH'), tokenAddress],
+      to,
+      deadline
+    )
+
   // Swap ETH for tokens
-  const swapEthForTokens = (tokenAddress, { from, value }) =>
-    uniswapV2Router02.methods
-      .swapExactETHForTokens(
-        1, // amountOutMin
-        [getTokenAddressOf('WETH'), tokenAddress],
-        from,
-        Math.round(Date.now() / 1000) + 60
-      )
-      .send({ from, gas: 200000, value })
+  const swapEthForTokens = (
+    tokenAddress,
+    { amountOutMin = 1, from, gas = 200000, value }
+  ) =>
+    getSwapEthForTokensMethod(
+      tokenAddress,
+      amountOutMin,
+      from,
+      Math.round(Date.now() / 1000) + 60
+    ).send({ from, gas, value })
 
   return {
     getAmountOut,
+    getSwapEthForTokensMethod,
     getTokenAddressOf,
     getVspRate,
     swapEthForTokens
@@ -8,7 +8,16 @@ const fromUnit = (number, decimals = 18) =>
 const toUnit = (number, decimals = 18) =>
   Big(`${Big(number).toFixed()}e+${decimals}`).toFixed(0)
 
+// Gets the number and the timestamp, in ms, of a block. Aggregate reads pin
+// all their calls to this block number so the results are consistent.
+const getPinnedBlock = (web3, defaultBlock = 'latest') =>
+  web3.eth.getBlock(defaultBlock).then(block => ({
+    blockNumber: block.number,
+    timestamp: Number(block.timestamp) * 1000
+  }))
+
 module.exports = {
   fromUnit,
+  getPinnedBlock,
   toUnit
 }
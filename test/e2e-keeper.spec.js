@@ -0,0 +1,38 @@
+'use strict'
+
+require('dotenv').config()
+require('chai').should()
+const Web3 = require('web3')
+
+const createVesper = require('..')
+
+describe('E2E', function () {
+  this.timeout(0)
+
+  before(function () {
+    if (!process.env.E2E) {
+      this.skip()
+    }
+  })
+
+  describe('Keeper', function () {
+    it('should simulate rebalancing all the pools', function () {
+      const web3 = new Web3(process.env.NODE_URL)
+      const vesper = createVesper(web3, { stages: ['-retired'] })
+      return vesper.rebalanceAll({ dryRun: true }).then(function (report) {
+        report.should.be.an('array').that.is.not.empty
+        report.forEach(function (entry) {
+          entry.should.include.all.keys('address', 'pool', 'status')
+          entry.status.should.be.oneOf(['failed', 'simulated', 'skipped'])
+          if (entry.status === 'simulated') {
+            entry.should.have.nested
+              .property('tokensHere.before')
+              .that.match(/^[0-9]+$/)
+          } else {
+            entry.should.have.property('reason').that.is.a('string')
+          }
+        })
+      })
+    })
+  })
+})
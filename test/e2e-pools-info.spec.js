@@ -21,17 +21,21 @@ describe('E2E', function () {
       const vesper = createVesper(web3, { stages: ['-retired'] })
       return vesper.getPools().then(function (pools) {
         pools.should.be.an('array')
+        const [{ blockNumber }] = pools
         pools.forEach(function (pool) {
           pool.should.include.all.keys(
             'address',
             'asset',
             'birthblock',
+            'blockNumber',
             'decimals',
             'interestEarned',
             'name',
+            'rewardsApr',
             'riskLevel',
             'stage',
             'status',
+            'timestamp',
             'tokenValue',
             'totalSupply',
             'totalValue',
@@ -56,6 +60,8 @@ describe('E2E', function () {
             .that.is.a('string')
             .that.matches(/^[0-9]*$/)
           pool.should.have.property('birthblock').that.is.a('number')
+          pool.should.have.property('blockNumber', blockNumber)
+          pool.should.have.property('timestamp').that.is.a('number')
           pool.should.have
             .property('decimals')
             .that.is.a('string')
@@ -65,6 +71,12 @@ describe('E2E', function () {
             .that.is.a('string')
             .that.matches(/^[0-9]*$/)
           pool.should.have.property('name').that.is.a('string')
+          if (pool.rewardsApr !== null) {
+            pool.should.have
+              .property('rewardsApr')
+              .that.is.a('number')
+              .that.is.at.least(0)
+          }
           pool.should.have
             .property('riskLevel')
             .that.is.a('number')
@@ -87,8 +99,54 @@ describe('E2E', function () {
             .property('withdrawFee')
             .that.is.a('number')
             .that.is.within(0, 1)
+          if (pool.version === 3) {
+            pool.should.include.all.keys(
+              'governor',
+              'keepers',
+              'maintainers',
+              'pricePerShare',
+              'strategies',
+              'totalDebt',
+              'totalDebtRatio',
+              'withdrawQueue'
+            )
+            pool.should.have.property('strategies').that.is.an('array')
+            pool.strategies.forEach(function (strategy) {
+              strategy.should.include.all.keys(
+                'address',
+                'availableCreditLimit',
+                'debtRatio',
+                'excessDebt',
+                'totalDebt'
+              )
+              strategy.should.have
+                .property('debtRatio')
+                .that.is.a('number')
+                .that.is.within(0, 1)
+            })
+            pool.should.have
+              .property('totalDebtRatio')
+              .that.is.a('number')
+              .that.is.within(0, 1)
+          }
         })
       })
     })
+
+    it('should get the APY of a pool', function () {
+      const web3 = new Web3(process.env.NODE_URL)
+      const vesper = createVesper(web3)
+      return vesper
+        .getApy('vETH', { periods: ['1d', '7d'] })
+        .then(function (apy) {
+          apy.should.have.property('pool', 'vETH')
+          apy.should.have.property('periods').that.has.all.keys('1d', '7d')
+          Object.values(apy.periods).forEach(function (rates) {
+            rates.should.have.property('apy').that.is.a('number')
+            rates.should.have.property('partial', false)
+            rates.fromBlock.should.be.below(rates.toBlock)
+          })
+        })
+    })
   })
 })
@@ -152,6 +152,74 @@ describe('E2E', function () {
             })
         })
 
+        it(`should deposit ${asset} with permit`, function () {
+          const _this = this
+          const vesper = createVesper(web3, {
+            from,
+            overestimation,
+            stages: [stage]
+          })
+          // Check the deposit asset supports permits
+          return vesper[address]
+            .isAssetPermitSupported()
+            .then(function (supported) {
+              if (!supported) {
+                _this.skip()
+                throw new Error('Permits not supported by asset')
+              }
+              // Deposit asset
+              return vesper[address].deposit(
+                amount,
+                {},
+                { usePermit: true }
+              ).promise
+            })
+            .then(function (result) {
+              // Check result
+              result.should.have.property('sent', amount)
+              result.should.have.property('received').that.match(/^[0-9]+$/)
+              result.should.have.property('status', true)
+              // Check a single transaction was sent
+              result.should.have.property('raw').that.has.lengthOf(1)
+              const { receipt } = result.raw.pop()
+              receipt.should.have.property('status').that.is.true
+            })
+        })
+
+        it(`should zap deposit ETH into ${name}`, function () {
+          if (asset === 'ETH' || asset === 'WETH') {
+            this.skip()
+          }
+          const vesper = createVesper(web3, {
+            from,
+            overestimation,
+            stages: [stage]
+          })
+          const ethAmount = '100000000000000000'
+          const { emitter, promise } = vesper[address].zapDeposit(
+            ethAmount,
+            {},
+            { slippage: 0.01 }
+          )
+          const suffixes = []
+          emitter.on('transactions', function (transactions) {
+            suffixes.push(...transactions.suffixes)
+          })
+          return promise.then(function (result) {
+            // Check result
+            result.should.have.property('sent', ethAmount)
+            result.should.have.property('swapped').that.match(/^[0-9]+$/)
+            result.should.have.property('received').that.match(/^[0-9]+$/)
+            result.should.have.property('status', true)
+            suffixes.should.include.members(['swap', 'deposit'])
+            // Check the exact amount swapped was deposited
+            const { receipt } = result.raw.pop()
+            receipt.should.have.nested
+              .property('events.Deposit.returnValues.amount')
+              .that.equals(result.swapped)
+          })
+        })
+
         it(`should withdraw ${asset}`, function () {
           if (name === 'vVSP') {
             // vVSP has a withdraw timelock of 24h so this test does not apply
@@ -222,7 +290,9 @@ describe('E2E', function () {
               const withdrawFee =
                 asset !== 'ETH'
                   ? Big(0)
-                  : Big(transaction.gasPrice).times(receipt.gasUsed)
+                  : Big(
+                      receipt.effectiveGasPrice || transaction.gasPrice
+                    ).times(receipt.gasUsed)
               const expectedBalance = Big(assetBalance)
                 .sub(withdrawFee)
                 .plus(withdraw.returnValues.amount)
@@ -238,6 +308,128 @@ describe('E2E', function () {
             })
         })
 
+        it(`should withdraw all ${asset}`, function () {
+          if (name === 'vVSP') {
+            // vVSP has a withdraw timelock of 24h so this test does not apply
+            this.skip()
+            return null
+          }
+          const vesper = createVesper(web3, {
+            from,
+            overestimation,
+            stages: [stage]
+          })
+          // Deposit asset
+          return vesper[address]
+            .deposit(amount)
+            .promise.then(() => vesper[address].getBalance())
+            .then(poolTokenBalance =>
+              Promise.all([
+                poolTokenBalance,
+                // Withdraw all the pool tokens
+                vesper[address].withdrawAll().promise
+              ])
+            )
+            .then(function ([poolTokenBalance, result]) {
+              // Check the exact balance was sent
+              result.should.have.property('sent', poolTokenBalance)
+              result.should.have.property('received').that.match(/^[0-9]+$/)
+              result.should.have.property('status', true)
+              return vesper[address].getBalance()
+            })
+            .then(function (balance) {
+              // Check no dust is left
+              balance.should.equal('0')
+            })
+        })
+
+        it(`should not withdraw ${asset} below the minimum`, function () {
+          if (name === 'vVSP') {
+            // vVSP has a withdraw timelock of 24h so this test does not apply
+            this.skip()
+            return null
+          }
+          const vesper = createVesper(web3, {
+            from,
+            overestimation,
+            stages: [stage]
+          })
+          // Deposit asset
+          return vesper[address]
+            .deposit(amount)
+            .promise.then(() => vesper[address].getDepositedBalance())
+            .then(function (depositedBalance) {
+              // Withdraw asking for more than the deposited balance
+              const { emitter, promise } = vesper[address].withdraw(
+                depositedBalance,
+                {},
+                { minReceived: Big(depositedBalance).times(2).toFixed(0) }
+              )
+              emitter.on('error', function () {})
+              return promise
+            })
+            .then(
+              function () {
+                throw new Error('Withdrawal should have failed')
+              },
+              function (err) {
+                err.message.should.match(/below the minimum/)
+                err.should.have.nested.property('progress.completed').that.is
+                  .empty
+              }
+            )
+        })
+
+        it(`should not withdraw ${asset} without a balance`, function () {
+          const vesper = createVesper(web3, {
+            from,
+            overestimation,
+            stages: [stage]
+          })
+          const { address: emptyAddress } = web3.eth.accounts.create()
+          return vesper[address]
+            .validate('withdraw', amount, emptyAddress)
+            .then(
+              function () {
+                throw new Error('Validation should have failed')
+              },
+              function (err) {
+                err.should.have.property('reason', 'INSUFFICIENT_BALANCE')
+              }
+            )
+        })
+
+        it(`should transfer ${name} tokens`, function () {
+          if (name === 'vVSP') {
+            this.skip()
+            return null
+          }
+          const vesper = createVesper(web3, {
+            from,
+            overestimation,
+            stages: [stage]
+          })
+          // Deposit asset and send two transfers back to self
+          return vesper[address]
+            .deposit(amount)
+            .promise.then(
+              result =>
+                vesper[address].multiTransfer([
+                  { to: from, shares: Big(result.received).div(4).toFixed(0) },
+                  { to: from, shares: Big(result.received).div(2).toFixed(0) }
+                ]).promise
+            )
+            .then(function (result) {
+              result.should.have.property('status', true)
+              result.should.have.property('transfers').that.has.lengthOf(2)
+              result.transfers.forEach(function (transfer) {
+                transfer.should.have.property('to', from)
+                transfer.should.have.property('shares').that.match(/^[0-9]+$/)
+              })
+              result.should.have.property('sent').that.match(/^[0-9]+$/)
+            })
+        })
+
         it('should set vVSP withdraw timelock')
 
         it(`should claim VSP tokens on ${name}`, function () {
@@ -432,6 +624,28 @@ describe('E2E', function () {
             valueLocked.should.be.a('string').that.match(/^[0-9]+$/)
           })
         })
+
+        it(`should quote ${name} deposits and withdrawals`, function () {
+          const vesper = createVesper(web3, {
+            from,
+            overestimation,
+            stages: [stage]
+          })
+          return Promise.all([
+            vesper[address].quoteDeposit(amount),
+            vesper[address].quoteWithdraw(amount)
+          ]).then(function ([depositQuote, withdrawQuote]) {
+            depositQuote.should.have.property('fee', '0')
+            depositQuote.should.have.property('net', amount)
+            withdrawQuote.should.have
+              .property('blockNumber')
+              .that.is.a('number')
+            Big(withdrawQuote.net)
+              .plus(withdrawQuote.fee)
+              .toFixed()
+              .should.equal(withdrawQuote.gross)
+          })
+        })
       })
     })
 })
@@ -23,13 +23,17 @@ describe('E2E', function () {
       const vesper = createVesper(web3, { stages: ['-retired'] })
       return vesper.getPortfolio(address).then(function (portfolio) {
         portfolio.should.include.keys('vETH', 'vUSDC', 'vWBTC')
+        const [{ blockNumber }] = Object.values(portfolio)
         Object.values(portfolio).forEach(function (pool) {
           pool.should.have.all.keys(
             'assets',
+            'blockNumber',
             'claimableVsp',
             'timelock',
+            'timestamp',
             'tokens'
           )
+          pool.should.have.property('blockNumber', blockNumber)
           Object.values(pool).forEach(function (amount) {
             amount.should.match(/[0-9]+/)
           })
@@ -47,5 +51,115 @@ describe('E2E', function () {
         })
       })
     })
+
+    it("should get the user's allowances", function () {
+      const web3 = new Web3(process.env.NODE_URL)
+      const vesper = createVesper(web3, { stages: ['-retired'] })
+      return vesper.getAllowances(address).then(function (allowances) {
+        allowances.forEach(function (allowance) {
+          allowance.should.include.all.keys(
+            'owner',
+            'token',
+            'tokenAddress',
+            'spender',
+            'spenderName',
+            'amount'
+          )
+          allowance.amount.should.match(/^[1-9][0-9]*$/)
+        })
+      })
+    })
+
+    it("should get the user's history", function () {
+      const web3 = new Web3(process.env.NODE_URL)
+      const vesper = createVesper(web3, { stages: ['-retired'] })
+      return web3.eth
+        .getBlockNumber()
+        .then(blockNumber =>
+          vesper.getHistory(address, {
+            fromBlock: blockNumber - 100000,
+            pools: ['vETH']
+          })
+        )
+        .then(function (history) {
+          history.forEach(function (entry) {
+            entry.should.include.all.keys(
+              'type',
+              'pool',
+              'asset',
+              'amount',
+              'shares',
+              'blockNumber',
+              'timestamp',
+              'transactionHash'
+            )
+            entry.should.have.property('pool', 'vETH')
+          })
+          history
+            .map(({ timestamp }) => timestamp)
+            .should.deep.equal(
+              history.map(({ timestamp }) => timestamp).sort((a, b) => a - b)
+            )
+        })
+    })
+
+    it("should get the user's earnings", function () {
+      const web3 = new Web3(process.env.NODE_URL)
+      const vesper = createVesper(web3, { stages: ['-retired'] })
+      return vesper
+        .getEarnings(address, { pools: ['vETH'] })
+        .then(function (earnings) {
+          Object.values(earnings).forEach(function (pool) {
+            pool.should.have.all.keys(
+              'asset',
+              'principal',
+              'value',
+              'realizedGains',
+              'unrealizedGains',
+              'claimedVsp',
+              'claimableVsp'
+            )
+          })
+        })
+    })
+
+    it("should simulate claiming the user's VSP from all pools", function () {
+      const web3 = new Web3(process.env.NODE_URL)
+      const vesper = createVesper(web3, {
+        dryRun: true,
+        from: address,
+        stages: ['-retired']
+      })
+      return vesper.claimAllVsp(address).promise.then(function (result) {
+        result.should.have.property('dryRun', true)
+        result.should.have.property('received').that.match(/^[0-9]+$/)
+        result.should.have.property('pools').that.is.an('object')
+        Object.values(result.pools).forEach(function (pool) {
+          pool.should.have.property('received').that.match(/^[0-9]+$/)
+        })
+      })
+    })
+
+    it("should simulate compounding the user's VSP into vVSP", function () {
+      const web3 = new Web3(process.env.NODE_URL)
+      const vesper = createVesper(web3, {
+        dryRun: true,
+        from: address,
+        stages: ['-retired']
+      })
+      const { emitter, promise } = vesper.compoundVsp(address)
+      const warnings = []
+      emitter.on('warning', function (warning) {
+        warnings.push(warning)
+      })
+      return promise.then(function (result) {
+        result.should.have.property('dryRun', true)
+        result.should.have.property('claimed').that.match(/^[0-9]+$/)
+        result.should.have.property('received').that.match(/^[0-9]+$/)
+        warnings.should.have.lengthOf(1)
+        warnings[0].should.have.property('code', 'TIMELOCK_RESET')
+        warnings[0].should.have.property('lockPeriod').that.is.a('number')
+      })
+    })
   })
 })
@@ -0,0 +1,286 @@
+'use strict'
+
+const lodash = require('lodash')
+const Web3 = require('web3')
+
+const { abi } = new Web3().eth
+const { keccak256, toHex } = Web3.utils
+
+const ZERO_HASH = `0x${'0'.repeat(64)}`
+
+const toNumber = value => (value ? Web3.utils.hexToNumberString(value) : '0')
+
+const revert = reason =>
+  Object.assign(new Error(`execution reverted: ${reason}`), {
+    code: -32000,
+    data: abi
+      .encodeFunctionSignature('Error(string)')
+      .concat(abi.encodeParameter('string', reason).slice(2))
+  })
+
+// Creates an EIP-1193 provider over an in-memory chain so the library can be
+// tested without a node. The contracts are set by address with their ABI and
+// the implementation of their methods, which receive the decoded arguments and
+// a context with the sender, the value sent, the chain `state`, a function to
+// `emit` events and one to `call` other contracts. Calls run over a copy of the
+// state and transactions commit it only if they succeed. The code of a
+// contract, if set, can be used to override the code of an address in calls.
+// The transactions are mined when sent unless `autoMine` is unset. Then these
+// stay pending until `mine` is called. Typed data is signed with a fixed
+// `signature`.
+const createFakeProvider = function ({
+  accounts = {},
+  blockNumber = 100,
+  chainId = 1,
+  contracts = {},
+  gasPrice = '1000000000',
+  state = {}
+} = {}) {
+  const chain = {
+    autoMine: true,
+    balances: { ...accounts },
+    blockNumber,
+    pending: [],
+    receipts: {},
+    requests: [],
+    signature: `0x${'ab'.repeat(32)}${'cd'.repeat(32)}1b`,
+    state,
+    transactions: {}
+  }
+
+  const findByAddress = (map, address) =>
+    map[
+      Object.keys(map).find(key => key.toLowerCase() === address.toLowerCase())
+    ]
+
+  const getContract = (address, codeOverrides = {}) =>
+    address &&
+    (findByAddress(codeOverrides, address) || findByAddress(contracts, address))
+
+  const findMethod = (contract, data) =>
+    contract.abi.find(
+      item =>
+        item.type === 'function' &&
+        abi.encodeFunctionSignature(item) === data.slice(0, 10)
+    )
+
+  const encodeEvent = function (contract, address, name, values) {
+    const event = contract.abi.find(
+      item => item.type === 'event' && item.name === name
+    )
+    const inputs = event.inputs.map((input, i) => ({
+      ...input,
+      value: Array.isArray(values) ? values[i] : values[input.name]
+    }))
+    return {
+      address,
+      data: abi.encodeParameters(
+        inputs.filter(input => !input.indexed).map(input => input.type),
+        inputs.filter(input => !input.indexed).map(input => input.value)
+      ),
+      topics: [abi.encodeEventSignature(event)].concat(
+        inputs
+          .filter(input => input.indexed)
+          .map(input => abi.encodeParameter(input.type, input.value))
+      )
+    }
+  }
+
+  // Runs a contract method. Calls to accounts without code do nothing.
+  const execute = function ({ data = '0x', from, to, value }, context) {
+    const contract = getContract(to, context.codeOverrides)
+    if (!contract) {
+      return '0x'
+    }
+    const method = findMethod(contract, data)
+    const implementation = method && contract.methods[method.name]
+    if (!implementation) {
+      throw revert('unknown method')
+    }
+    const decoded = abi.decodeParameters(method.inputs, `0x${data.slice(10)}`)
+    const result = implementation(
+      method.inputs.map((input, i) => decoded[i]),
+      {
+        call: call => execute({ ...call, from: to }, context),
+        emit: (name, values) =>
+          context.logs.push(encodeEvent(contract, to, name, values)),
+        from,
+        state: context.state,
+        value: toNumber(value)
+      }
+    )
+    return method.outputs.length
+      ? abi.encodeParameters(
+          method.outputs,
+          method.outputs.length === 1 ? [result] : result
+        )
+      : '0x'
+  }
+
+  // Runs a call over a copy of the state. The code of the accounts can be
+  // overridden with the code of the contracts.
+  const call = function (params, overrides = {}) {
+    const codeOverrides = {}
+    Object.keys(overrides).forEach(function (address) {
+      codeOverrides[address] = Object.values(contracts).find(
+        contract => contract.code && contract.code === overrides[address].code
+      )
+    })
+    return execute(params, {
+      codeOverrides,
+      logs: [],
+      state: lodash.cloneDeep(chain.state)
+    })
+  }
+
+  const mineTransaction = function (transaction) {
+    const context = { logs: [], state: lodash.cloneDeep(chain.state) }
+    let status = true
+    try {
+      execute(transaction, context)
+      chain.state = context.state
+    } catch (err) {
+      status = false
+      context.logs = []
+    }
+    const logs = context.logs
+    chain.blockNumber += 1
+    const block = {
+      blockHash: keccak256(`${chain.blockNumber}`),
+      blockNumber: toHex(chain.blockNumber),
+      transactionHash: transaction.hash,
+      transactionIndex: '0x0'
+    }
+    Object.assign(transaction, block)
+    chain.receipts[transaction.hash] = {
+      ...block,
+      contractAddress: null,
+      cumulativeGasUsed: '0x5208',
+      from: transaction.from,
+      gasUsed: '0x5208',
+      logs: logs.map((log, i) => ({
+        ...block,
+        ...log,
+        logIndex: toHex(i),
+        removed: false
+      })),
+      logsBloom: `0x${'0'.repeat(512)}`,
+      status: status ? '0x1' : '0x0',
+      to: transaction.to
+    }
+  }
+
+  // Mines the pending transactions.
+  const mine = function () {
+    const pending = chain.pending
+    chain.pending = []
+    pending.forEach(mineTransaction)
+  }
+
+  // Drops a pending transaction as if the node forgot it.
+  const drop = function (hash) {
+    chain.pending = chain.pending.filter(t => t.hash !== hash)
+    delete chain.transactions[hash]
+  }
+
+  const sendTransaction = function (params) {
+    const transaction = {
+      ...params,
+      gas: params.gas || '0x186a0',
+      gasPrice: params.gasPrice || toHex(gasPrice),
+      hash: keccak256(
+        `${Object.keys(chain.transactions).length}:${params.nonce}`
+      ),
+      input: params.data || '0x',
+      nonce: toHex(params.nonce || 0),
+      value: params.value || '0x0',
+      blockHash: null,
+      blockNumber: null,
+      transactionIndex: null
+    }
+    // A transaction with the nonce of a pending one replaces it.
+    chain.pending
+      .filter(
+        t =>
+          t.from.toLowerCase() === transaction.from.toLowerCase() &&
+          t.nonce === transaction.nonce
+      )
+      .forEach(t => drop(t.hash))
+    chain.transactions[transaction.hash] = transaction
+    chain.pending.push(transaction)
+    if (chain.autoMine) {
+      mine()
+    }
+    return transaction.hash
+  }
+
+  // Gets the logs of the mined transactions matching a filter. Each topic in
+  // the filter can be null, to match any, a topic or an array of topics.
+  const getLogs = function ({ address, fromBlock, toBlock, topics = [] }) {
+    const addresses = [].concat(address || []).map(a => a.toLowerCase())
+    const isInRange = log =>
+      (!fromBlock || Number(log.blockNumber) >= Number(fromBlock)) &&
+      (!toBlock || Number(log.blockNumber) <= Number(toBlock))
+    const matchesTopics = log =>
+      topics.every(
+        (topic, i) => topic === null || [].concat(topic).includes(log.topics[i])
+      )
+    return lodash
+      .flatten(Object.values(chain.receipts).map(receipt => receipt.logs))
+      .filter(
+        log =>
+          (!addresses.length ||
+            addresses.includes(log.address.toLowerCase())) &&
+          isInRange(log) &&
+          matchesTopics(log)
+      )
+  }
+
+  const handlers = {
+    eth_blockNumber: () => toHex(chain.blockNumber),
+    eth_call: ([params, , overrides]) => call(params, overrides),
+    eth_chainId: () => toHex(chainId),
+    eth_estimateGas(params) {
+      handlers.eth_call(params)
+      return '0x186a0'
+    },
+    eth_gasPrice: () => toHex(gasPrice),
+    eth_getBalance: ([address]) => toHex(chain.balances[address] || '0'),
+    eth_getBlockByNumber: ([tag]) => ({
+      hash: ZERO_HASH,
+      number: tag === 'latest' ? toHex(chain.blockNumber) : tag,
+      timestamp: toHex(1600000000)
+    }),
+    eth_getCode([address]) {
+      const contract = getContract(address)
+      return contract ? contract.code || '0x01' : '0x'
+    },
+    eth_getLogs: ([filter]) => getLogs(filter),
+    eth_getTransactionByHash: ([hash]) => chain.transactions[hash] || null,
+    eth_getTransactionCount: ([address]) =>
+      toHex(
+        Object.values(chain.transactions).filter(
+          t => t.blockNumber && t.from.toLowerCase() === address.toLowerCase()
+        ).length
+      ),
+    eth_getTransactionReceipt: ([hash]) => chain.receipts[hash] || null,
+    eth_sendTransaction: ([params]) => sendTransaction(params),
+    eth_signTypedData_v4: () => chain.signature,
+    net_version: () => `${chainId}`
+  }
+
+  // The results are copied as web3 formats these in place.
+  const request = function ({ method, params = [] }) {
+    chain.requests.push({ method, params })
+    return new Promise(function (resolve) {
+      if (!handlers[method]) {
+        throw new Error(`Method ${method} not supported`)
+      }
+      resolve(lodash.cloneDeep(handlers[method](params)))
+    })
+  }
+
+  return Object.assign(chain, { drop, mine, request })
+}
+
+module.exports = createFakeProvider
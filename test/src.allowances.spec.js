@@ -0,0 +1,129 @@
+'use strict'
+
+require('chai').should()
+const erc20Abi = require('erc-20-abi')
+const Web3 = require('web3')
+
+const createAllowances = require('../src/allowances')
+const createFakeProvider = require('./fake-provider')
+const errors = require('../src/errors')
+const poolAbi = require('../src/abi/pool.json')
+
+const from = '0x0000000000000000000000000000000000000001'
+const poolAddress = '0x0000000000000000000000000000000000000002'
+const tokenAddress = '0x0000000000000000000000000000000000000003'
+const vakAddress = '0x0000000000000000000000000000000000000006'
+
+// Gets the methods of a token whose allowances are kept in the given key of the
+// chain state.
+const getTokenMethods = key => ({
+  allowance: ([, spender], { state }) =>
+    state[key][spender.toLowerCase()] || '0',
+  approve([spender, value], { state }) {
+    state[key][spender.toLowerCase()] = value
+    return true
+  }
+})
+
+// Creates the allowances methods over a fake chain with a vUSDC pool. The user
+// approved 5 USDC to the pool and 7 vUSDC to the VAK.
+const createTestAllowances = function (options) {
+  const provider = createFakeProvider({
+    contracts: {
+      [poolAddress]: { abi: poolAbi, methods: getTokenMethods('poolTokens') },
+      [tokenAddress]: { abi: erc20Abi, methods: getTokenMethods('assets') }
+    },
+    state: {
+      assets: { [poolAddress]: '5' },
+      poolTokens: { [vakAddress]: '7' }
+    }
+  })
+  const web3 = new Web3(provider)
+  const allowances = createAllowances(
+    Promise.resolve({
+      assetContracts: { USDC: new web3.eth.Contract(erc20Abi, tokenAddress) },
+      pools: [{ address: poolAddress, asset: 'USDC', name: 'vUSDC' }],
+      poolContracts: {
+        [poolAddress]: new web3.eth.Contract(poolAbi, poolAddress)
+      }
+    }),
+    {},
+    { from, vakAddress, web3, ...options }
+  )
+  return { allowances, provider, web3 }
+}
+
+describe('Allowances', function () {
+  this.timeout(10000)
+
+  it('should get the non-zero allowances', function () {
+    const { allowances } = createTestAllowances()
+    return allowances.getAllowances().then(function (list) {
+      list.should.deep.equal([
+        {
+          owner: from,
+          token: 'USDC',
+          tokenAddress,
+          spender: poolAddress,
+          spenderName: 'vUSDC',
+          amount: '5'
+        },
+        {
+          owner: from,
+          token: 'vUSDC',
+          tokenAddress: poolAddress,
+          spender: vakAddress,
+          spenderName: 'MiniArmyKnife',
+          amount: '7'
+        }
+      ])
+    })
+  })
+
+  it('should revoke the allowances of the spender', function () {
+    const { allowances, provider } = createTestAllowances()
+    return allowances
+      .revokeApproval(vakAddress)
+      .promise.then(function (result) {
+        result.should.deep.include({
+          revoked: [
+            { token: 'vUSDC', tokenAddress: poolAddress, spender: vakAddress }
+          ],
+          status: true
+        })
+        provider.state.should.deep.equal({
+          assets: { [poolAddress]: '5' },
+          poolTokens: { [vakAddress]: '0' }
+        })
+      })
+  })
+
+  it('should build the unsigned approvals to 0', function () {
+    const { allowances, web3 } = createTestAllowances({ unsigned: true })
+    const token = new web3.eth.Contract(erc20Abi, tokenAddress)
+    return allowances
+      .revokeApproval(poolAddress)
+      .promise.then(function (result) {
+        result.transactions.should.have.lengthOf(1)
+        result.transactions[0].should.include({
+          data: token.methods.approve(poolAddress, 0).encodeABI(),
+          suffix: 'revoke-USDC',
+          to: tokenAddress,
+          value: '0'
+        })
+      })
+  })
+
+  it('should fail if no allowances were granted to the spender', function () {
+    const { allowances } = createTestAllowances()
+    return allowances.revokeApproval(from).promise.then(
+      function () {
+        throw new Error('Should have failed')
+      },
+      function (err) {
+        err.should.be.an.instanceOf(errors.ValidationError)
+        err.should.include({ reason: 'NOTHING_TO_REVOKE' })
+      }
+    )
+  })
+})
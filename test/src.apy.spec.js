@@ -0,0 +1,51 @@
+'use strict'
+
+require('chai').should()
+
+const createApy = require('../src/apy')
+
+const poolAddress = '0x0000000000000000000000000000000000000002'
+
+// Creates the APY methods over a chain that mines 100 blocks a day and a v3
+// pool whose price per share grows 10% in the last day. The total value of the
+// pool is not used in v3.
+const createTestApy = function () {
+  const web3 = {
+    eth: {
+      getBlock: blockNumber =>
+        Promise.resolve({ number: blockNumber, timestamp: blockNumber * 864 }),
+      getBlockNumber: () => Promise.resolve(1000)
+    }
+  }
+  const vesper = {
+    [poolAddress]: {
+      getPricePerShare: blockNumber =>
+        Promise.resolve(blockNumber === 1000 ? '1100000' : '1000000'),
+      getTokenValue: () => Promise.reject(new Error('Not used in v3'))
+    }
+  }
+  return createApy(
+    Promise.resolve({
+      pools: [{ address: poolAddress, name: 'vaUSDC', version: 3 }]
+    }),
+    vesper,
+    { web3 }
+  )
+}
+
+describe('APY', function () {
+  it('should get the rates of v3 pools from the price per share', function () {
+    return createTestApy()
+      .getApy('vaUSDC', { periods: ['1d'] })
+      .then(function ({ periods }) {
+        periods['1d'].should.include({
+          fromBlock: 900,
+          fromValue: '1000000',
+          partial: false,
+          toBlock: 1000,
+          toValue: '1100000'
+        })
+        periods['1d'].apr.should.be.closeTo(36.5, 1e-9)
+      })
+  })
+})
@@ -0,0 +1,111 @@
+'use strict'
+
+require('chai').should()
+const Web3 = require('web3')
+
+const createBatchProvider = require('../src/batch-provider')
+const multicallAbi = require('../src/abi/multicall3.json')
+
+const { abi } = new Web3().eth
+
+const aggregate3Abi = multicallAbi.find(item => item.name === 'aggregate3')
+
+// Creates a fake provider where the calls to `0x...2` revert and the rest
+// return their own call data. The aggregator exists only if `multicall` is set.
+const createProvider = function ({ multicall }, requests = []) {
+  const callResult = ({ to, data }) =>
+    to.endsWith('2')
+      ? { error: { code: -32000, data: '0x', message: 'execution reverted' } }
+      : { result: data }
+  const aggregate = function (data) {
+    const [calls] = Object.values(
+      abi.decodeParameters(aggregate3Abi.inputs, `0x${data.slice(10)}`)
+    )
+    return abi.encodeParameters(aggregate3Abi.outputs, [
+      calls.map(([to, , callData]) => {
+        const { result } = callResult({ to, data: callData })
+        return result ? [true, result] : [false, '0x']
+      })
+    ])
+  }
+  return {
+    request({ method, params }) {
+      requests.push(method)
+      if (method !== 'eth_call') {
+        return Promise.resolve('0x1')
+      }
+      const [{ to, data }] = params
+      if (to === '0xcA11bde05977b3631167028862bE2a173976CA11') {
+        return Promise.resolve(multicall ? aggregate(data) : '0x')
+      }
+      const { error, result } = callResult(params[0])
+      return error
+        ? Promise.reject(Object.assign(new Error(error.message), error))
+        : Promise.resolve(result)
+    },
+    sendAsync(payload, callback) {
+      requests.push('batch')
+      callback(
+        null,
+        payload.map(({ id, jsonrpc, params }) => ({
+          id,
+          jsonrpc,
+          ...callResult(params[0])
+        }))
+      )
+    }
+  }
+}
+
+// Sends three calls at once, the second one failing.
+const sendCalls = provider =>
+  Promise.all(
+    [1, 2, 3].map(i =>
+      provider
+        .request({
+          method: 'eth_call',
+          params: [{ to: `0x${'0'.repeat(39)}${i}`, data: `0x0${i}` }, 'latest']
+        })
+        .catch(err => err.message)
+    )
+  )
+
+describe('Batch provider', function () {
+  it('should aggregate the calls and isolate the failures', function () {
+    const requests = []
+    const provider = createBatchProvider({
+      currentProvider: createProvider({ multicall: true }, requests),
+      eth: { abi }
+    })
+    return sendCalls(provider).then(function (results) {
+      results.should.deep.equal(['0x01', 'execution reverted', '0x03'])
+      requests.should.deep.equal(['eth_call'])
+    })
+  })
+
+  it('should fall back to a batch request without aggregator', function () {
+    const requests = []
+    const provider = createBatchProvider({
+      currentProvider: createProvider({ multicall: false }, requests),
+      eth: { abi }
+    })
+    return sendCalls(provider).then(function (results) {
+      results.should.deep.equal(['0x01', 'execution reverted', '0x03'])
+      requests.should.deep.equal(['eth_call', 'batch'])
+    })
+  })
+
+  it('should send the other requests as is', function () {
+    const requests = []
+    const provider = createBatchProvider({
+      currentProvider: createProvider({ multicall: true }, requests),
+      eth: { abi }
+    })
+    return provider
+      .request({ method: 'eth_blockNumber', params: [] })
+      .then(function (result) {
+        result.should.equal('0x1')
+        requests.should.deep.equal(['eth_blockNumber'])
+      })
+  })
+})
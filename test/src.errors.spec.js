@@ -0,0 +1,68 @@
+'use strict'
+
+require('chai').should()
+
+const {
+  InvalidAmountError,
+  RpcUnavailableError,
+  toVesperError,
+  UserRejectedError,
+  ValidationError,
+  VesperError,
+  withVesperErrors
+} = require('../src/errors')
+
+describe('Errors', function () {
+  it('should set the code and the details of the errors', function () {
+    const err = new InvalidAmountError('Invalid amount -1', { amount: '-1' })
+    err.should.be.an.instanceOf(ValidationError)
+    err.should.be.an.instanceOf(VesperError)
+    err.should.include({
+      amount: '-1',
+      code: 'INVALID_AMOUNT',
+      name: 'InvalidAmountError',
+      reason: 'INVALID_AMOUNT'
+    })
+  })
+
+  it('should recognize user rejections', function () {
+    const cause = Object.assign(new Error('User denied transaction'), {
+      code: 4001
+    })
+    toVesperError(cause)
+      .should.be.an.instanceOf(UserRejectedError)
+      .that.has.property('cause', cause)
+  })
+
+  it('should recognize node failures', function () {
+    toVesperError(
+      new Error("CONNECTION ERROR: Couldn't connect to node http://x.")
+    ).should.have.property('code', 'RPC_UNAVAILABLE')
+  })
+
+  it('should keep the library errors as is', function () {
+    const err = new RpcUnavailableError('Invalid JSON-RPC response')
+    toVesperError(err).should.equal(err)
+  })
+
+  it('should wrap the errors of the methods', function () {
+    const methods = withVesperErrors({
+      fail: () => Promise.reject(new Error('Failed')),
+      throw() {
+        throw new Error('Thrown')
+      },
+      value: 1
+    })
+    methods.value.should.equal(1)
+    ;(() => methods.throw()).should.throw(VesperError, 'Thrown')
+    return methods.fail().then(
+      function () {
+        throw new Error('Should have failed')
+      },
+      function (err) {
+        err.should.be.an.instanceOf(VesperError)
+        err.should.have.property('code', 'VESPER_ERROR')
+      }
+    )
+  })
+})
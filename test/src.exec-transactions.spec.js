@@ -0,0 +1,191 @@
+'use strict'
+
+require('chai').should()
+const erc20Abi = require('erc-20-abi')
+const Web3 = require('web3')
+
+const createExecutor = require('../src/exec-transactions')
+const createFakeProvider = require('./fake-provider')
+const errors = require('../src/errors')
+const poolAbi = require('../src/abi/pool.json')
+
+const from = '0x0000000000000000000000000000000000000001'
+const poolAddress = '0x0000000000000000000000000000000000000002'
+const tokenAddress = '0x0000000000000000000000000000000000000003'
+
+// Creates a web3 instance over a fake chain with a token and a pool that
+// accept approvals and deposits.
+const createWeb3 = function () {
+  const provider = createFakeProvider({
+    contracts: {
+      [poolAddress]: { abi: poolAbi, methods: { deposit() {} } },
+      [tokenAddress]: { abi: erc20Abi, methods: { approve: () => true } }
+    }
+  })
+  return { provider, web3: new Web3(provider) }
+}
+
+// Approves and deposits tokens in the pool. The deposit sends some ETH too.
+const getTransactions = function (web3) {
+  const pool = new web3.eth.Contract(poolAbi, poolAddress)
+  const token = new web3.eth.Contract(erc20Abi, tokenAddress)
+  return [
+    {
+      method: token.methods.approve(poolAddress, '5'),
+      suffix: 'approve',
+      description: 'Approve 5 tokens',
+      gas: 66000
+    },
+    {
+      method: pool.methods.deposit('5'),
+      value: '7',
+      suffix: 'deposit',
+      description: 'Deposit 5 tokens',
+      gas: 155000
+    }
+  ]
+}
+
+// Waits for an event of the emitter.
+const once = (emitter, event) =>
+  new Promise(resolve => emitter.once(event, resolve))
+
+describe('Transactions executor', function () {
+  this.timeout(10000)
+
+  it('should build the unsigned transactions and the Safe batch', function () {
+    const { web3 } = createWeb3()
+    const txs = getTransactions(web3)
+    const executeTransactions = createExecutor({ from, unsigned: true, web3 })
+    return web3.eth
+      .sendTransaction({ from, to: from, value: '0' })
+      .then(
+        () =>
+          executeTransactions(Promise.resolve(txs), () => ({}), {}, {}).promise
+      )
+      .then(function (result) {
+        const expected = txs.map(({ description, method, suffix }, i) => ({
+          data: method.encodeABI(),
+          description,
+          gas: 125000,
+          nonce: i + 1,
+          suffix,
+          to: method._parent.options.address,
+          value: ['0', '7'][i]
+        }))
+        result.should.include({ unsigned: true })
+        result.transactions.should.deep.equal(expected)
+        result.batch.should.deep.include({
+          chainId: '1',
+          meta: {
+            name: 'Vesper approve, deposit',
+            description: 'Approve 5 tokens\nDeposit 5 tokens',
+            createdFromSafeAddress: from
+          },
+          transactions: expected.map(({ data, to, value }) => ({
+            to,
+            value,
+            data
+          }))
+        })
+      })
+  })
+
+  it('should speed up the pending transaction with the same nonce', function () {
+    const { provider, web3 } = createWeb3()
+    provider.autoMine = false
+    const [, tx] = getTransactions(web3)
+    const { emitter, promise, speedUp } = createExecutor({ from, web3 })(
+      Promise.resolve([tx]),
+      () => ({}),
+      {},
+      {}
+    )
+    return once(emitter, 'transactionHash-deposit')
+      .then(hash => Promise.all([provider.transactions[hash], speedUp(1.5)]))
+      .then(function ([original, replacementHash]) {
+        const replacement = provider.transactions[replacementHash]
+        replacement.should.include({
+          data: original.data,
+          nonce: original.nonce,
+          to: original.to,
+          value: original.value
+        })
+        Web3.utils
+          .hexToNumberString(replacement.gasPrice)
+          .should.equal('1500000000')
+        provider.mine()
+        return Promise.all([replacementHash, promise])
+      })
+      .then(function ([replacementHash, result]) {
+        result.should.include({
+          cancelled: false,
+          replaced: true,
+          status: true
+        })
+        result.raw[0].transaction.hash.should.equal(replacementHash)
+        result.raw[0].replaced.should.have.property('type', 'speedUp')
+      })
+  })
+
+  it('should cancel the pending transaction with a transfer to self', function () {
+    const { provider, web3 } = createWeb3()
+    provider.autoMine = false
+    const { emitter, promise, cancel } = createExecutor({ from, web3 })(
+      Promise.resolve(getTransactions(web3)),
+      () => ({}),
+      {},
+      {}
+    )
+    return once(emitter, 'transactionHash-approve')
+      .then(hash => Promise.all([provider.transactions[hash], cancel()]))
+      .then(function ([original, replacementHash]) {
+        provider.transactions[replacementHash].should.include({
+          from,
+          gas: '0x5208',
+          gasPrice: Web3.utils.toHex('1200000000'),
+          input: '0x',
+          nonce: original.nonce,
+          to: from,
+          value: '0x0'
+        })
+        provider.mine()
+        return promise
+      })
+      .then(function (result) {
+        result.should.include({ cancelled: true, status: false })
+        result.raw.should.have.lengthOf(1)
+        result.progress.should.deep.include({
+          completed: [],
+          remaining: ['approve', 'deposit']
+        })
+      })
+  })
+
+  it('should not replace a dropped transaction', function () {
+    const { provider, web3 } = createWeb3()
+    provider.autoMine = false
+    const [, tx] = getTransactions(web3)
+    const { emitter, speedUp } = createExecutor({ from, web3 })(
+      Promise.resolve([tx]),
+      () => ({}),
+      {},
+      {}
+    )
+    return once(emitter, 'transactionHash-deposit')
+      .then(function (hash) {
+        provider.drop(hash)
+        return speedUp()
+      })
+      .then(
+        function () {
+          throw new Error('Should have failed')
+        },
+        function (err) {
+          err.should.be.an.instanceOf(errors.VesperError)
+          err.message.should.equal('No pending transaction to replace')
+          provider.pending.should.have.lengthOf(0)
+        }
+      )
+  })
+})
@@ -0,0 +1,41 @@
+'use strict'
+
+require('chai').should()
+
+const { applyTransactionOptions, getExpectedFee } = require('../src/fee-market')
+
+describe('Fee market', function () {
+  const fees = {
+    baseFeePerGas: '100',
+    maxFeePerGas: '210',
+    maxPriorityFeePerGas: '10'
+  }
+
+  it('should calculate the expected fee range of type-2 transactions', function () {
+    getExpectedFee(fees, 1000).should.deep.equal({
+      min: '110000',
+      max: '210000'
+    })
+  })
+
+  it('should calculate the expected fee of legacy transactions', function () {
+    getExpectedFee({ gasPrice: '100' }, 1000).should.deep.equal({
+      min: '100000',
+      max: '100000'
+    })
+  })
+
+  it('should send legacy transactions if the gas price is set', function () {
+    applyTransactionOptions(fees, { gasPrice: 50 }).should.deep.equal({
+      gasPrice: '50'
+    })
+  })
+
+  it('should cap the suggested priority fee to the max fee set', function () {
+    applyTransactionOptions(fees, { maxFeePerGas: '5' }).should.deep.equal({
+      baseFeePerGas: '100',
+      maxFeePerGas: '5',
+      maxPriorityFeePerGas: '5'
+    })
+  })
+})
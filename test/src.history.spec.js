@@ -0,0 +1,100 @@
+'use strict'
+
+require('chai').should()
+const Big = require('big.js').default
+const Web3 = require('web3')
+
+const createFakeProvider = require('./fake-provider')
+const createHistory = require('../src/history')
+const poolAbi = require('../src/abi/pool.json')
+
+const from = '0x0000000000000000000000000000000000000001'
+const poolAddress = '0x0000000000000000000000000000000000000002'
+const feeCollector = '0x0000000000000000000000000000000000000008'
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+// Creates the history over a fake chain with a v1 vUSDC pool that mints one
+// share per USDC deposited. When withdrawing, the fee is sent to the fee
+// collector in pool tokens and the Withdraw event has the shares burned only.
+const createTestHistory = function (withdrawFee) {
+  const provider = createFakeProvider({
+    contracts: {
+      [poolAddress]: {
+        abi: poolAbi,
+        methods: {
+          deposit([amount], { emit }) {
+            emit('Transfer', { from: ZERO_ADDRESS, to: from, value: amount })
+            emit('Deposit', { owner: from, shares: amount, amount })
+          },
+          withdraw([shares], { emit }) {
+            const fee = Big(shares).times(withdrawFee).toFixed(0)
+            const burned = Big(shares).minus(fee).toFixed()
+            emit('Transfer', { from, to: feeCollector, value: fee })
+            emit('Transfer', { from, to: ZERO_ADDRESS, value: burned })
+            emit('Withdraw', { owner: from, shares: burned, amount: burned })
+          }
+        }
+      }
+    }
+  })
+  const web3 = new Web3(provider)
+  const pool = new web3.eth.Contract(poolAbi, poolAddress)
+  const vesper = {
+    [poolAddress]: {
+      getClaimableVsp: () => Promise.resolve('0'),
+      getDepositedBalance: () => Promise.resolve('0'),
+      getPoolRewardsAddress: () => Promise.resolve(ZERO_ADDRESS)
+    }
+  }
+  const history = createHistory(
+    Promise.resolve({
+      pools: [{ address: poolAddress, asset: 'USDC', name: 'vUSDC' }]
+    }),
+    vesper,
+    { from, web3 }
+  )
+  return { history, pool }
+}
+
+describe('History', function () {
+  this.timeout(10000)
+
+  it('should include the withdraw fee in the withdrawal', function () {
+    const { history, pool } = createTestHistory(0.01)
+    return pool.methods
+      .deposit('1000')
+      .send({ from })
+      .then(() => pool.methods.withdraw('1000').send({ from }))
+      .then(() => history.getHistory())
+      .then(function (entries) {
+        entries
+          .map(({ amount, shares, type }) => ({ amount, shares, type }))
+          .should.deep.equal([
+            { amount: '1000', shares: '1000', type: 'deposit' },
+            { amount: '990', shares: '1000', type: 'withdraw' }
+          ])
+      })
+  })
+
+  it('should account the withdraw fee of a full exit as a loss', function () {
+    const { history, pool } = createTestHistory(0.01)
+    return pool.methods
+      .deposit('1000')
+      .send({ from })
+      .then(() => pool.methods.withdraw('1000').send({ from }))
+      .then(() => history.getEarnings())
+      .then(function (earnings) {
+        earnings.should.deep.equal({
+          vUSDC: {
+            asset: 'USDC',
+            principal: '0',
+            value: '0',
+            realizedGains: '-10',
+            unrealizedGains: '0',
+            claimedVsp: '0',
+            claimableVsp: '0'
+          }
+        })
+      })
+  })
+})
@@ -1,8 +1,19 @@
 'use strict'
 
 require('chai').should()
+const Web3 = require('web3')
 
-const { utils } = require('../src/index')
+const createBatchProvider = require('../src/batch-provider')
+const createFakeProvider = require('./fake-provider')
+const createVesper = require('../src/index')
+const controllerAbi = require('../src/abi/controller.json')
+const multicallAbi = require('../src/abi/multicall3.json')
+
+const from = '0x0000000000000000000000000000000000000001'
+const rewardsAddress = '0x0000000000000000000000000000000000000006'
+const controllerAddress = '0xa4F1671d3Aee73C05b552d57f2d16d3cfcBd0217'
+
+const { utils } = createVesper
 
 describe('Utils', function () {
   it('should convert to unit', function () {
@@ -15,3 +26,74 @@ describe('Utils', function () {
     utils.fromUnit('50000000000000000000000', 18).should.equal('50000')
   })
 })
+
+// Creates a library instance batching the calls over a fake chain where the
+// controller knows the rewards contract of the pools and Multicall3 is
+// deployed. The default account of the given web3 instance is set.
+const createBatchingVesper = function () {
+  const provider = createFakeProvider({
+    contracts: {
+      [controllerAddress]: {
+        abi: controllerAbi,
+        methods: { poolRewards: () => rewardsAddress }
+      },
+      [createBatchProvider.MULTICALL_ADDRESS]: {
+        abi: multicallAbi,
+        code: '0xca11',
+        methods: {
+          aggregate3: ([calls], { call }) =>
+            calls.map(([target, , data]) => [true, call({ to: target, data })])
+        }
+      }
+    }
+  })
+  const web3 = new Web3(provider)
+  web3.eth.defaultAccount = from
+  const vesper = createVesper(web3, { batch: true, stages: [] })
+  return { provider, vesper, web3 }
+}
+
+const getRequests = (provider, method) =>
+  provider.requests.filter(request => request.method === method)
+
+describe('Batching', function () {
+  it('should batch the calls without changing the given instance', function () {
+    const { provider, vesper, web3 } = createBatchingVesper()
+    web3.should.have.property('currentProvider', provider)
+    return vesper
+      .getContracts()
+      .then(({ controllerContracts: { controller } }) =>
+        Promise.all([
+          controller.methods.poolRewards(from).call(),
+          controller.methods.poolRewards(controllerAddress).call()
+        ])
+      )
+      .then(function (results) {
+        results.should.deep.equal([rewardsAddress, rewardsAddress])
+        getRequests(provider, 'eth_call')
+          .map(({ params: [{ to }] }) => to.toLowerCase())
+          .should.deep.equal([
+            createBatchProvider.MULTICALL_ADDRESS.toLowerCase()
+          ])
+      })
+  })
+
+  it('should send the transactions through the given instance', function () {
+    const { provider, vesper } = createBatchingVesper()
+    return vesper
+      .getContracts()
+      .then(function ({ controllerContracts: { controller } }) {
+        controller.should.have.property('currentProvider', provider)
+        return controller.methods.poolRewards(from).send({ from })
+      })
+      .then(function () {
+        getRequests(
+          provider,
+          'eth_sendTransaction'
+        )[0].params[0].should.include({
+          from,
+          to: controllerAddress.toLowerCase()
+        })
+      })
+  })
+})
@@ -0,0 +1,81 @@
+'use strict'
+
+require('chai').should()
+const EventEmitter = require('events')
+const Web3 = require('web3')
+
+const createFakeProvider = require('./fake-provider')
+const createKeeper = require('../src/keeper')
+const poolAbi = require('../src/abi/pool.json')
+
+const v1PoolAddress = '0x0000000000000000000000000000000000000002'
+const v2PoolAddress = '0x0000000000000000000000000000000000000003'
+
+const poolMethods = { paused: () => false, stopEverything: () => false }
+
+// Gets the methods of an operative pool with tokens to rebalance. The
+// simulations of the rebalance are recorded in `rebalanced`.
+const getVesperMethods = (address, rebalanced) => ({
+  canRebalance: () => Promise.resolve(true),
+  getTokensHere: () => Promise.resolve('1000'),
+  rebalance() {
+    rebalanced.push(address)
+    return {
+      emitter: new EventEmitter(),
+      promise: Promise.resolve({
+        dryRun: true,
+        fees: '0',
+        raw: [{ gas: 100000 }],
+        status: true
+      })
+    }
+  }
+})
+
+// Creates the keeper over a fake chain with a v1 and a v2 pool.
+const createTestKeeper = function (rebalanced) {
+  const provider = createFakeProvider({
+    contracts: {
+      [v1PoolAddress]: { abi: poolAbi, methods: poolMethods },
+      [v2PoolAddress]: { abi: poolAbi, methods: poolMethods }
+    }
+  })
+  const web3 = new Web3(provider)
+  return createKeeper(
+    Promise.resolve({
+      pools: [
+        { address: v1PoolAddress, name: 'vUSDC', version: 1 },
+        { address: v2PoolAddress, name: 'vaUSDC', version: 2 }
+      ],
+      poolContracts: {
+        [v1PoolAddress]: new web3.eth.Contract(poolAbi, v1PoolAddress),
+        [v2PoolAddress]: new web3.eth.Contract(poolAbi, v2PoolAddress)
+      }
+    }),
+    {
+      [v1PoolAddress]: getVesperMethods(v1PoolAddress, rebalanced),
+      [v2PoolAddress]: getVesperMethods(v2PoolAddress, rebalanced)
+    },
+    { web3 }
+  )
+}
+
+describe('Keeper', function () {
+  this.timeout(10000)
+
+  it('should skip the pools newer than v1', function () {
+    const rebalanced = []
+    return createTestKeeper(rebalanced)
+      .rebalanceAll({ dryRun: true })
+      .then(function ([v1Report, v2Report]) {
+        v1Report.should.include({ pool: 'vUSDC', status: 'simulated' })
+        v2Report.should.deep.equal({
+          pool: 'vaUSDC',
+          address: v2PoolAddress,
+          status: 'skipped',
+          reason: 'UNSUPPORTED_VERSION'
+        })
+        rebalanced.should.deep.equal([v1PoolAddress])
+      })
+  })
+})
@@ -0,0 +1,69 @@
+'use strict'
+
+require('chai').should()
+
+const getPastLogs = require('../src/past-logs')
+
+// Creates a fake web3 instance with one log per block that fails to get the
+// logs of more than the given blocks at once.
+const createWeb3 = function (maxRange, queries = []) {
+  const getPastLogsMock = function ({ fromBlock, toBlock }) {
+    queries.push([fromBlock, toBlock])
+    if (toBlock - fromBlock + 1 > maxRange) {
+      return Promise.reject(new Error('Block range too large'))
+    }
+    const logs = []
+    for (let i = fromBlock; i <= toBlock; i++) {
+      logs.push({ blockNumber: i })
+    }
+    return Promise.resolve(logs)
+  }
+  return { eth: { getPastLogs: getPastLogsMock } }
+}
+
+describe('Past logs', function () {
+  it('should get the logs in chunks of the maximum size', function () {
+    const queries = []
+    return getPastLogs(
+      createWeb3(10, queries),
+      { fromBlock: 1, toBlock: 25 },
+      10
+    ).then(function (logs) {
+      logs.map(({ blockNumber }) => blockNumber).should.have.lengthOf(25)
+      queries.should.deep.equal([
+        [1, 10],
+        [11, 20],
+        [21, 25]
+      ])
+    })
+  })
+
+  it('should reduce the chunk size if the query fails', function () {
+    const queries = []
+    return getPastLogs(
+      createWeb3(3, queries),
+      { fromBlock: 0, toBlock: 9 },
+      8
+    ).then(function (logs) {
+      logs
+        .map(({ blockNumber }) => blockNumber)
+        .should.deep.equal([0, 1, 2, 3, 4, 5, 6, 7, 8, 9])
+      queries.should.deep.include.members([
+        [0, 7],
+        [0, 3],
+        [0, 1]
+      ])
+    })
+  })
+
+  it('should fail if a single block cannot be queried', function () {
+    return getPastLogs(createWeb3(0), { fromBlock: 0, toBlock: 9 }, 4).then(
+      function () {
+        throw new Error('Should have failed')
+      },
+      function (err) {
+        err.message.should.equal('Block range too large')
+      }
+    )
+  })
+})
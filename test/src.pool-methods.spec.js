@@ -0,0 +1,608 @@
+'use strict'
+
+require('chai').should()
+const Big = require('big.js').default
+const erc20Abi = require('erc-20-abi')
+const Web3 = require('web3')
+
+const createBatchProvider = require('../src/batch-provider')
+const createFakeProvider = require('./fake-provider')
+const addressListAbi = require('../src/abi/address-list.json')
+const controllerAbi = require('../src/abi/controller.json')
+const erc2612Abi = require('../src/abi/erc-2612.json')
+const multicallAbi = require('../src/abi/multicall3.json')
+const createPoolMethods = require('../src/pool-methods')
+const errors = require('../src/errors')
+const poolAbi = require('../src/abi/pool.json')
+const poolRewardsAbi = require('../src/abi/pool-rewards.json')
+
+const from = '0x0000000000000000000000000000000000000001'
+const poolAddress = '0x0000000000000000000000000000000000000002'
+const tokenAddress = '0x0000000000000000000000000000000000000003'
+const controllerAddress = '0x0000000000000000000000000000000000000004'
+const whitelistAddress = '0x0000000000000000000000000000000000000005'
+const rewardsAddress = '0x0000000000000000000000000000000000000006'
+const vspAddress = '0x0000000000000000000000000000000000000007'
+const other = '0x0000000000000000000000000000000000000009'
+
+// The EIP-712 domain separator of the USDC permits.
+const domainSeparator = Web3.utils.keccak256(
+  new Web3().eth.abi.encodeParameters(
+    ['bytes32', 'bytes32', 'bytes32', 'uint256', 'address'],
+    [
+      Web3.utils.keccak256(
+        'EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)'
+      ),
+      Web3.utils.keccak256('USD Coin'),
+      Web3.utils.keccak256('2'),
+      1,
+      tokenAddress
+    ]
+  )
+)
+
+// Creates the methods of a vUSDC pool over a fake chain. The pool mints one
+// share per USDC deposited and pays the shares back minus the strategy `loss`.
+// The user starts with 1000 USDC, which supports permits. The VSP rewards
+// claimable by each account are kept in the `rewards` state. Multicall3 is
+// deployed so withdrawals can be simulated.
+const createPool = function (options, initialState) {
+  const provider = createFakeProvider({
+    contracts: {
+      [poolAddress]: {
+        abi: poolAbi,
+        methods: {
+          balanceOf: (args, { state }) => state.shares,
+          deposit([amount], { emit, state }) {
+            if (Big(amount).gt(state.allowance)) {
+              throw new Error('Not allowed')
+            }
+            state.allowance = Big(state.allowance).minus(amount).toFixed()
+            state.assets = Big(state.assets).minus(amount).toFixed()
+            state.shares = Big(state.shares).plus(amount).toFixed()
+            emit('Deposit', { owner: from, shares: amount, amount })
+          },
+          depositWithPermit([amount], { emit, from: owner, state }) {
+            state.assets = Big(state.assets).minus(amount).toFixed()
+            state.shares = Big(state.shares).plus(amount).toFixed()
+            emit('Deposit', { owner, shares: amount, amount })
+          },
+          depositTimestamp: (args, { state }) => state.depositTimestamp,
+          feeWhiteList: () => whitelistAddress,
+          lockPeriod: () => '1000',
+          paused: () => false,
+          stopEverything: () => false,
+          totalSupply: (args, { state }) => state.shares,
+          totalValue: (args, { state }) => state.shares,
+          withdraw([shares], { emit, from: owner, state }) {
+            if (Big(shares).gt(state.shares)) {
+              throw new Error('Not enough shares')
+            }
+            const amount = Big(shares)
+              .times(1 - state.loss)
+              .toFixed(0)
+            state.assets = Big(state.assets).plus(amount).toFixed()
+            state.shares = Big(state.shares).minus(shares).toFixed()
+            emit('Withdraw', { owner, shares, amount })
+          },
+          withdrawFee: () => '0'
+        }
+      },
+      [tokenAddress]: {
+        abi: erc20Abi.concat(erc2612Abi),
+        methods: {
+          DOMAIN_SEPARATOR: () => domainSeparator,
+          allowance: (args, { state }) => state.allowance,
+          approve([spender, value], { emit, state }) {
+            state.allowance = value
+            emit('Approval', { owner: from, spender, value })
+            return true
+          },
+          balanceOf: (args, { state }) => state.assets,
+          name: () => 'USD Coin',
+          nonces: ([owner], { state }) => state.nonces[owner] || '0'
+        }
+      },
+      [whitelistAddress]: {
+        abi: addressListAbi,
+        methods: { contains: () => false }
+      },
+      [controllerAddress]: {
+        abi: controllerAbi,
+        methods: { poolRewards: () => rewardsAddress }
+      },
+      [rewardsAddress]: {
+        abi: poolRewardsAbi,
+        methods: {
+          claimable: ([account], { state }) =>
+            state.rewards[account.toLowerCase()] || '0',
+          claimReward([account], { emit, state }) {
+            const reward = state.rewards[account.toLowerCase()] || '0'
+            state.rewards[account.toLowerCase()] = '0'
+            emit('RewardPaid', { user: account, reward })
+          },
+          rewardToken: () => vspAddress
+        }
+      },
+      [createBatchProvider.MULTICALL_ADDRESS]: {
+        abi: multicallAbi,
+        code: '0xca11',
+        methods: {
+          aggregate3: ([calls], { call }) =>
+            calls.map(function ([target, allowFailure, data]) {
+              try {
+                return [true, call({ to: target, data })]
+              } catch (err) {
+                if (!allowFailure) {
+                  throw err
+                }
+                return [false, err.data || '0x']
+              }
+            })
+        }
+      }
+    },
+    state: {
+      allowance: '0',
+      assets: '1000',
+      depositTimestamp: '0',
+      loss: 0,
+      nonces: {},
+      rewards: {},
+      shares: '0',
+      ...initialState
+    }
+  })
+  const web3 = new Web3(provider)
+  const poolContract = new web3.eth.Contract(poolAbi, poolAddress)
+  poolContract.meta = { chainId: 1 }
+  const methods = errors.withVesperErrors(
+    createPoolMethods({
+      address: poolAddress,
+      asset: 'USDC',
+      contractsPromise: Promise.resolve({
+        assetContract: new web3.eth.Contract(erc20Abi, tokenAddress),
+        controllerContracts: {
+          controller: new web3.eth.Contract(controllerAbi, controllerAddress)
+        },
+        poolContract
+      }),
+      from,
+      name: 'vUSDC',
+      tokens: [{ symbol: 'USDC', address: tokenAddress, decimals: 6 }],
+      vspAddress,
+      web3,
+      ...options
+    })
+  )
+  return { methods, provider, web3 }
+}
+
+// Sends a transaction without waiting for it to be mined.
+const sendTransaction = (provider, method) =>
+  provider.request({
+    method: 'eth_sendTransaction',
+    params: [
+      { from, to: method._parent.options.address, data: method.encodeABI() }
+    ]
+  })
+
+const getSentTransactions = provider =>
+  provider.requests.filter(({ method }) => method === 'eth_sendTransaction')
+
+// Gets the progress record of a deposit of 5 USDC with the given step pending.
+const getDepositRecord = pending => ({
+  operation: 'deposit',
+  args: ['5'],
+  pool: poolAddress,
+  from,
+  completed: [],
+  pending,
+  remaining: ['approve', 'deposit']
+})
+
+// Deposits 5 USDC and gets the amount approved to the pool and the
+// allowance left after the deposit.
+const depositWithPolicy = function (approvalPolicy) {
+  const { methods, provider, web3 } = createPool()
+  return methods.deposit('5', {}, { approvalPolicy }).promise.then(function () {
+    const [approve] = getSentTransactions(provider)
+    const { data, to } = approve.params[0]
+    to.should.equal(tokenAddress)
+    const { spender, value } = web3.eth.abi.decodeParameters(
+      [
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' }
+      ],
+      `0x${data.slice(10)}`
+    )
+    spender.should.equal(poolAddress)
+    return { approved: value, allowance: provider.state.allowance }
+  })
+}
+
+describe('Pool methods', function () {
+  this.timeout(10000)
+
+  describe('Resume', function () {
+    it('should record the progress of the operations', function () {
+      const { methods } = createPool()
+      const { emitter, promise } = methods.deposit('5')
+      const records = []
+      emitter.on('progress', record => records.push(record))
+      return promise.then(function (result) {
+        const [approve, deposit] = result.raw.map(
+          ({ transaction }) => transaction.hash
+        )
+        records
+          .map(({ pending }) => pending)
+          .should.deep.equal([
+            { suffix: 'approve', hash: approve },
+            null,
+            { suffix: 'deposit', hash: deposit },
+            null
+          ])
+        result.progress.should.deep.equal({
+          operation: 'deposit',
+          args: ['5'],
+          pool: poolAddress,
+          from,
+          completed: [
+            { suffix: 'approve', hash: approve },
+            { suffix: 'deposit', hash: deposit }
+          ],
+          pending: null,
+          remaining: []
+        })
+      })
+    })
+
+    it('should not resume while the pending step is not mined', function () {
+      const { methods, provider, web3 } = createPool()
+      provider.autoMine = false
+      const token = new web3.eth.Contract(erc20Abi, tokenAddress)
+      return sendTransaction(provider, token.methods.approve(poolAddress, '5'))
+        .then(
+          hash =>
+            methods.resume(getDepositRecord({ suffix: 'approve', hash }))
+              .promise
+        )
+        .then(
+          function () {
+            throw new Error('Should have failed')
+          },
+          function (err) {
+            err.should.include({ reason: 'TRANSACTION_PENDING' })
+            getSentTransactions(provider).should.have.lengthOf(1)
+          }
+        )
+    })
+
+    it('should resume after the mined pending step', function () {
+      const { methods, provider, web3 } = createPool()
+      const token = new web3.eth.Contract(erc20Abi, tokenAddress)
+      let approveHash
+      return sendTransaction(provider, token.methods.approve(poolAddress, '5'))
+        .then(function (hash) {
+          approveHash = hash
+          return methods.resume(
+            getDepositRecord({ suffix: 'approve', hash })
+          ).promise
+        })
+        .then(function (result) {
+          result.should.include({ received: '5', status: true })
+          result.raw.should.have.lengthOf(2)
+          result.raw[0].transaction.hash.should.equal(approveHash)
+          result.progress.completed
+            .map(({ suffix }) => suffix)
+            .should.deep.equal(['approve', 'deposit'])
+          getSentTransactions(provider).should.have.lengthOf(2)
+        })
+    })
+
+    it('should send the dropped pending step again', function () {
+      const { methods, provider } = createPool()
+      const hash = `0x${'ab'.repeat(32)}`
+      return methods
+        .resume(getDepositRecord({ suffix: 'approve', hash }))
+        .promise.then(function (result) {
+          result.should.include({ received: '5', status: true })
+          result.progress.completed
+            .map(({ suffix }) => suffix)
+            .should.deep.equal(['approve', 'deposit'])
+          getSentTransactions(provider).should.have.lengthOf(2)
+        })
+    })
+
+    it('should resume after the deposit was mined', function () {
+      const { methods, provider, web3 } = createPool(
+        {},
+        { allowance: '5', assets: '5' }
+      )
+      const pool = new web3.eth.Contract(poolAbi, poolAddress)
+      return sendTransaction(provider, pool.methods.deposit('5'))
+        .then(
+          hash =>
+            methods.resume({
+              ...getDepositRecord({ suffix: 'deposit', hash }),
+              remaining: ['deposit']
+            }).promise
+        )
+        .then(function (result) {
+          result.should.include({ received: '5', status: true })
+          result.progress.should.deep.include({ pending: null, remaining: [] })
+          getSentTransactions(provider).should.have.lengthOf(1)
+        })
+    })
+
+    it('should resume after the withdrawal was mined', function () {
+      const { methods, provider, web3 } = createPool(
+        {},
+        { assets: '900', shares: '100' }
+      )
+      const pool = new web3.eth.Contract(poolAbi, poolAddress)
+      return sendTransaction(provider, pool.methods.withdraw('100'))
+        .then(
+          hash =>
+            methods.resume({
+              operation: 'withdraw',
+              args: ['100'],
+              pool: poolAddress,
+              from,
+              completed: [],
+              pending: { suffix: 'withdraw', hash },
+              remaining: ['withdraw']
+            }).promise
+        )
+        .then(function (result) {
+          result.should.include({ received: '100', sent: '100', status: true })
+          result.progress.completed
+            .map(({ suffix }) => suffix)
+            .should.deep.equal(['withdraw'])
+          getSentTransactions(provider).should.have.lengthOf(1)
+        })
+    })
+
+    it('should resume the claim of the recorded sender', function () {
+      const { methods, provider, web3 } = createPool(
+        {},
+        { rewards: { [other]: '9' } }
+      )
+      const rewards = new web3.eth.Contract(poolRewardsAbi, rewardsAddress)
+      return methods
+        .resume({
+          operation: 'claimVsp',
+          pool: poolAddress,
+          from: other,
+          completed: [],
+          pending: null,
+          remaining: ['claim']
+        })
+        .promise.then(function (result) {
+          result.should.include({ received: '9', status: true })
+          const [claim] = getSentTransactions(provider)
+          claim.params[0].should.include({
+            data: rewards.methods.claimReward(other).encodeABI(),
+            from: other,
+            to: rewardsAddress
+          })
+        })
+    })
+
+    it('should not resume operations of other pools', function () {
+      const { methods } = createPool()
+      ;(() =>
+        methods.resume({
+          ...getDepositRecord(null),
+          pool: controllerAddress
+        })).should.throw(errors.ValidationError, 'Cannot resume deposit')
+    })
+  })
+
+  describe('Token value', function () {
+    it('should get the token value from the total value in v3', function () {
+      const { methods } = createPool({ version: 3 }, { shares: '2000' })
+      return methods.getTokenValue().then(function (tokenValue) {
+        tokenValue.should.equal(`1${'0'.repeat(18)}`)
+      })
+    })
+  })
+
+  describe('Withdraw timelock', function () {
+    it('should check the timelock at the time of the given block', function () {
+      const { methods } = createPool(
+        { name: 'vVSP' },
+        { depositTimestamp: '1599999900' }
+      )
+      return Promise.all([
+        methods.getWithdrawTimelock(from),
+        methods.getWithdrawTimelock(from, 100)
+      ]).then(function ([unlockTime, pinnedUnlockTime]) {
+        unlockTime.should.equal(0)
+        pinnedUnlockTime.should.equal(1600000900000)
+      })
+    })
+  })
+
+  describe('Withdraw', function () {
+    it('should not withdraw if the simulation is below the minimum', function () {
+      const { methods, provider } = createPool(
+        {},
+        { assets: '900', loss: 0.02, shares: '100' }
+      )
+      return methods.withdraw('100', {}, { maxSlippage: 0.01 }).promise.then(
+        function () {
+          throw new Error('Should have failed')
+        },
+        function (err) {
+          err.should.include({
+            reason: 'BELOW_MIN_RECEIVED',
+            minReceived: '99',
+            received: '98'
+          })
+          getSentTransactions(provider).should.have.lengthOf(0)
+        }
+      )
+    })
+
+    it('should withdraw if the simulation reaches the minimum', function () {
+      const { methods } = createPool(
+        {},
+        { assets: '900', loss: 0.01, shares: '100' }
+      )
+      return methods
+        .withdraw('100', {}, { maxSlippage: 0.01 })
+        .promise.then(function (result) {
+          result.should.include({
+            minReceived: '99',
+            received: '99',
+            shortfall: '0',
+            status: true
+          })
+        })
+    })
+
+    it('should reject without balance when a max slippage is set', function () {
+      const { methods, provider } = createPool()
+      return methods.withdraw('100', {}, { maxSlippage: 0.01 }).promise.then(
+        function () {
+          throw new Error('Should have failed')
+        },
+        function (err) {
+          err.should.be.an.instanceOf(errors.ValidationError)
+          getSentTransactions(provider).should.have.lengthOf(0)
+        }
+      )
+    })
+  })
+
+  describe('Approvals', function () {
+    const maxUint256 =
+      '115792089237316195423570985008687907853269984665640564039457584007913129639935'
+
+    it('should approve the exact amount by default', function () {
+      return depositWithPolicy(undefined).then(function (result) {
+        result.should.deep.equal({ approved: '5', allowance: '0' })
+      })
+    })
+
+    it('should approve an unlimited amount', function () {
+      return depositWithPolicy('unlimited').then(function (result) {
+        result.should.deep.equal({
+          approved: maxUint256,
+          allowance: Big(maxUint256).minus(5).toFixed()
+        })
+      })
+    })
+
+    it('should approve a custom amount but not less than needed', function () {
+      return Promise.all([
+        depositWithPolicy('10'),
+        depositWithPolicy('3')
+      ]).then(function ([higher, lower]) {
+        higher.should.deep.equal({ approved: '10', allowance: '5' })
+        lower.should.deep.equal({ approved: '5', allowance: '0' })
+      })
+    })
+
+    it('should reject invalid approval policies', function () {
+      ;(() => createPoolMethods.getApprovalAmount('some', '5')).should.throw(
+        errors.ValidationError,
+        'Invalid approval policy'
+      )
+    })
+  })
+
+  describe('Transfer', function () {
+    const to = '0x0000000000000000000000000000000000000007'
+
+    it('should reject invalid amounts to transfer', function () {
+      const { methods, provider } = createPool()
+      return Promise.all(
+        [
+          methods.transfer(to, 'abc'),
+          methods.multiTransfer([
+            { to, shares: '5' },
+            { to, shares: '-1' }
+          ])
+        ].map(({ promise }) =>
+          promise.then(
+            function () {
+              throw new Error('Should have failed')
+            },
+            function (err) {
+              err.should.be.an.instanceOf(errors.InvalidAmountError)
+            }
+          )
+        )
+      ).then(function () {
+        getSentTransactions(provider).should.have.lengthOf(0)
+      })
+    })
+  })
+
+  describe('Invalid amounts', function () {
+    // Checks the promise is rejected because of the amount.
+    const shouldRejectAmount = promise =>
+      promise.then(
+        function () {
+          throw new Error('Should have failed')
+        },
+        function (err) {
+          err.should.be.an.instanceOf(errors.InvalidAmountError)
+        }
+      )
+
+    it('should reject invalid amounts to withdraw', function () {
+      const { methods, provider } = createPool({}, { shares: '100' })
+      return Promise.all(
+        [
+          methods.withdraw('abc'),
+          methods.withdraw('1.5'),
+          methods.withdrawShares('-1')
+        ].map(({ promise }) => shouldRejectAmount(promise))
+      ).then(function () {
+        getSentTransactions(provider).should.have.lengthOf(0)
+      })
+    })
+
+    it('should reject invalid amounts to quote', function () {
+      const { methods } = createPool()
+      return Promise.all(
+        [
+          methods.quoteDeposit('abc'),
+          methods.quoteDeposit('0'),
+          methods.quoteWithdraw('abc'),
+          methods.quoteWithdraw({ shares: '-1' })
+        ].map(shouldRejectAmount)
+      )
+    })
+  })
+
+  describe('Permits', function () {
+    it('should sign the permit as the sender even if the gas is set', function () {
+      const { methods, provider } = createPool(
+        { usePermit: true },
+        { nonces: { [other]: '3' } }
+      )
+      return methods
+        .deposit('5', { from: other, gas: 300000 })
+        .promise.then(function (result) {
+          result.should.include({ status: true })
+          const [signRequest] = provider.requests.filter(
+            ({ method }) => method === 'eth_signTypedData_v4'
+          )
+          signRequest.params[0].should.equal(other)
+          JSON.parse(signRequest.params[1]).message.should.include({
+            owner: other,
+            nonce: '3',
+            spender: poolAddress,
+            value: '5'
+          })
+          const [deposit] = getSentTransactions(provider)
+          deposit.params[0].should.include({ from: other, to: poolAddress })
+          deposit.params[0].data.should.include(provider.signature.slice(2, 66))
+        })
+    })
+  })
+})
@@ -0,0 +1,118 @@
+'use strict'
+
+require('chai').should()
+const erc20Abi = require('erc-20-abi')
+const Web3 = require('web3')
+
+const createFakeProvider = require('./fake-provider')
+const createPoolsInfo = require('../src/pools-info')
+const poolAbi = require('../src/abi/pool.json')
+
+const v2PoolAddress = '0x0000000000000000000000000000000000000002'
+const tokenAddress = '0x0000000000000000000000000000000000000003'
+const v3PoolAddress = '0x0000000000000000000000000000000000000004'
+
+const poolMethods = {
+  decimals: () => '18',
+  paused: () => false,
+  stopEverything: () => false,
+  totalValue: () => '2000000'
+}
+
+const v3PoolInfo = { pricePerShare: '1100000', strategies: [] }
+
+// Creates the pools info over a fake chain with a v2 and a v3 USDC pool. The
+// arguments of the rewards rate reads are recorded in `rewardsRateCalls`.
+const createTestPoolsInfo = function (rewardsRateCalls = []) {
+  const provider = createFakeProvider({
+    contracts: {
+      [v2PoolAddress]: { abi: poolAbi, methods: poolMethods },
+      [v3PoolAddress]: { abi: poolAbi, methods: poolMethods },
+      [tokenAddress]: { abi: erc20Abi, methods: { decimals: () => '6' } }
+    }
+  })
+  const web3 = new Web3(provider)
+  const pools = [
+    { address: v2PoolAddress, asset: 'USDC', name: 'vUSDC', version: 2 },
+    { address: v3PoolAddress, asset: 'USDC', name: 'vaUSDC', version: 3 }
+  ]
+  const getPoolMethods = () => ({
+    getInterestEarned: () => Promise.resolve('0'),
+    getInterestFee: () => Promise.resolve(0.15),
+    getTokenValue: () => Promise.resolve('1000000'),
+    getTotalSupply: () => Promise.resolve('2000000000000000000'),
+    getV3PoolInfo: () => Promise.resolve(v3PoolInfo),
+    getVspRewardsRate(...args) {
+      rewardsRateCalls.push(args)
+      return Promise.resolve('0')
+    },
+    getWithdrawFee: () => Promise.resolve(0.006),
+    hasVspRewards: () => Promise.resolve(false)
+  })
+  const poolsInfo = createPoolsInfo(
+    Promise.resolve({
+      assetContracts: { USDC: new web3.eth.Contract(erc20Abi, tokenAddress) },
+      pools,
+      poolContracts: {
+        [v2PoolAddress]: new web3.eth.Contract(poolAbi, v2PoolAddress),
+        [v3PoolAddress]: new web3.eth.Contract(poolAbi, v3PoolAddress)
+      }
+    }),
+    { [v2PoolAddress]: getPoolMethods(), [v3PoolAddress]: getPoolMethods() },
+    { getVspRate: () => Promise.resolve('0') },
+    { web3 }
+  )
+  return { poolsInfo, provider }
+}
+
+describe('Pools info', function () {
+  this.timeout(10000)
+
+  it('should get the v3 pool info apart from the common one', function () {
+    const { poolsInfo } = createTestPoolsInfo()
+    return poolsInfo.getPools().then(function ([v2Pool, v3Pool]) {
+      v2Pool.should.have.all.keys(
+        'address',
+        'asset',
+        'blockNumber',
+        'collRewardsRate',
+        'decimals',
+        'interestEarned',
+        'interestFee',
+        'lockPeriod',
+        'name',
+        'rewardsApr',
+        'status',
+        'timestamp',
+        'tokenValue',
+        'totalSupply',
+        'totalValue',
+        'version',
+        'vspRewards',
+        'vspRewardsRate',
+        'withdrawFee'
+      )
+      v2Pool.should.include({
+        status: 'operative',
+        tokenValue: '1000000',
+        totalValue: '2000000'
+      })
+      v3Pool.should.include({ tokenValue: '1000000', v3: v3PoolInfo })
+      v3Pool.should.not.have.property('pricePerShare')
+    })
+  })
+
+  it('should read the pinned block once', function () {
+    const rewardsRateCalls = []
+    const { poolsInfo, provider } = createTestPoolsInfo(rewardsRateCalls)
+    return poolsInfo.getPools(null, { defaultBlock: 90 }).then(function () {
+      provider.requests
+        .filter(({ method }) => method === 'eth_getBlockByNumber')
+        .should.have.lengthOf(1)
+      rewardsRateCalls.should.deep.equal([
+        [90, 1600000000000],
+        [90, 1600000000000]
+      ])
+    })
+  })
+})
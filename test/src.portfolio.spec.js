@@ -0,0 +1,178 @@
+'use strict'
+
+require('chai').should()
+const Big = require('big.js').default
+const erc20Abi = require('erc-20-abi')
+const Web3 = require('web3')
+
+const createFakeProvider = require('./fake-provider')
+const createPortfolio = require('../src/portfolio')
+const errors = require('../src/errors')
+const poolAbi = require('../src/abi/pool.json')
+const poolRewardsAbi = require('../src/abi/pool-rewards.json')
+
+const from = '0x0000000000000000000000000000000000000001'
+const poolAddress = '0x0000000000000000000000000000000000000002'
+const vvspAddress = '0x0000000000000000000000000000000000000003'
+const vspAddress = '0x0000000000000000000000000000000000000004'
+const rewardsAddress = '0x0000000000000000000000000000000000000005'
+const other = '0x0000000000000000000000000000000000000009'
+
+// The vVSP withdrawals are locked for a day after each deposit.
+const lockPeriod = 24 * 60 * 60
+
+// Creates the portfolio over a fake chain with a vUSDC pool where each account
+// has the VSP rewards set in the `rewards` state, the VSP token and vVSP, which
+// mints one share per VSP deposited.
+const createTestPortfolio = function () {
+  const provider = createFakeProvider({
+    contracts: {
+      [rewardsAddress]: {
+        abi: poolRewardsAbi,
+        methods: {
+          claimReward([account], { emit, state }) {
+            const reward = state.rewards[account.toLowerCase()] || '0'
+            state.rewards[account.toLowerCase()] = '0'
+            state.vsp[account.toLowerCase()] = Big(
+              state.vsp[account.toLowerCase()] || '0'
+            )
+              .plus(reward)
+              .toFixed()
+            emit('RewardPaid', { user: account, reward })
+          }
+        }
+      },
+      [vspAddress]: {
+        abi: erc20Abi,
+        methods: {
+          allowance: () => '0',
+          approve: () => true
+        }
+      },
+      [vvspAddress]: {
+        abi: poolAbi,
+        methods: {
+          deposit([amount], { emit, from: owner, state }) {
+            state.vsp[owner.toLowerCase()] = Big(state.vsp[owner.toLowerCase()])
+              .minus(amount)
+              .toFixed()
+            emit('Deposit', { owner, shares: amount, amount })
+          },
+          depositTimestamp: () => '0',
+          lockPeriod: () => `${lockPeriod}`
+        }
+      }
+    },
+    state: { rewards: { [from]: '7', [other]: '9' }, vsp: {} }
+  })
+  const web3 = new Web3(provider)
+  const pools = [
+    { address: poolAddress, asset: 'USDC', name: 'vUSDC' },
+    { address: vvspAddress, asset: 'VSP', name: 'vVSP' }
+  ]
+  const vesper = {
+    [poolAddress]: {
+      getClaimableVsp: address =>
+        Promise.resolve(provider.state.rewards[address.toLowerCase()] || '0'),
+      getPoolRewardsAddress: () => Promise.resolve(rewardsAddress)
+    },
+    [vvspAddress]: {
+      getClaimableVsp: () => Promise.resolve('0')
+    },
+    vVSP: {
+      getWithdrawTimelock: () => Promise.resolve(0)
+    }
+  }
+  const portfolio = createPortfolio(
+    Promise.resolve({
+      assetContracts: { VSP: new web3.eth.Contract(erc20Abi, vspAddress) },
+      pools,
+      poolContracts: {
+        [poolAddress]: new web3.eth.Contract(poolAbi, poolAddress),
+        [vvspAddress]: new web3.eth.Contract(poolAbi, vvspAddress)
+      }
+    }),
+    vesper,
+    { from, web3 }
+  )
+  return { portfolio, provider }
+}
+
+const getSentTransactions = provider =>
+  provider.requests.filter(({ method }) => method === 'eth_sendTransaction')
+
+// Expects the promise to reject with a validation error of the given reason
+// before sending any transaction.
+const shouldNotSend = (provider, promise, reason) =>
+  promise.then(
+    function () {
+      throw new Error('Should have failed')
+    },
+    function (err) {
+      err.should.be.an.instanceOf(errors.ValidationError)
+      err.should.have.property('reason', reason)
+      getSentTransactions(provider).should.have.lengthOf(0)
+      return err
+    }
+  )
+
+describe('Portfolio', function () {
+  this.timeout(10000)
+
+  describe('Compound VSP', function () {
+    it('should not compound the VSP of another address', function () {
+      const { portfolio, provider } = createTestPortfolio()
+      return shouldNotSend(
+        provider,
+        portfolio.compoundVsp(
+          from,
+          { acknowledgeTimelock: true },
+          { from: other }
+        ).promise,
+        'INVALID_ARGUMENT'
+      )
+    })
+
+    it('should not send until the timelock reset is acknowledged', function () {
+      const { portfolio, provider } = createTestPortfolio()
+      return shouldNotSend(
+        provider,
+        portfolio.compoundVsp().promise,
+        'TIMELOCK_RESET'
+      ).then(function (err) {
+        err.should.include({
+          lockPeriod,
+          depositTimestamp: 0,
+          unlockTime: 0,
+          newUnlockTime: (1600000000 + lockPeriod) * 1000
+        })
+      })
+    })
+
+    it('should compound the VSP of the sender', function () {
+      const { portfolio, provider } = createTestPortfolio()
+      const { emitter, promise } = portfolio.compoundVsp(
+        null,
+        { acknowledgeTimelock: true },
+        { from: other }
+      )
+      const warnings = []
+      emitter.on('warning', warning => warnings.push(warning))
+      return promise.then(function (result) {
+        result.should.include({ claimed: '9', received: '9', status: true })
+        warnings.map(({ code }) => code).should.deep.equal(['TIMELOCK_RESET'])
+        getSentTransactions(provider)
+          .map(({ params: [{ from: sender, to }] }) => [sender, to])
+          .should.deep.equal([
+            [other, rewardsAddress],
+            [other, vspAddress],
+            [other, vvspAddress]
+          ])
+        provider.state.should.deep.equal({
+          rewards: { [from]: '7', [other]: '0' },
+          vsp: { [other]: '0' }
+        })
+      })
+    })
+  })
+})
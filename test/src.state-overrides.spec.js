@@ -0,0 +1,26 @@
+'use strict'
+
+require('chai').should()
+
+const { mergeStateOverrides } = require('../src/state-overrides')
+
+describe('State overrides', function () {
+  it('should merge the storage changes of the same account', function () {
+    mergeStateOverrides(
+      { '0x1': { stateDiff: { '0xa': '0x01' } } },
+      { '0x1': { stateDiff: { '0xb': '0x02' } } }
+    ).should.deep.equal({
+      '0x1': { stateDiff: { '0xa': '0x01', '0xb': '0x02' } }
+    })
+  })
+
+  it('should merge the storage changes of different accounts', function () {
+    mergeStateOverrides(
+      { '0x1': { stateDiff: { '0xa': '0x01' } } },
+      { '0x2': { stateDiff: { '0xa': '0x02' } } }
+    ).should.deep.equal({
+      '0x1': { stateDiff: { '0xa': '0x01' } },
+      '0x2': { stateDiff: { '0xa': '0x02' } }
+    })
+  })
+})
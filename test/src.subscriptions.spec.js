@@ -0,0 +1,123 @@
+'use strict'
+
+require('chai').should()
+const Web3 = require('web3')
+
+const createSubscriptions = require('../src/subscriptions')
+
+const { abi } = new Web3().eth
+
+const pool = {
+  address: '0x0000000000000000000000000000000000000001',
+  name: 'vTEST'
+}
+const owner = '0x0000000000000000000000000000000000000002'
+
+// Creates a Deposit log of the pool.
+const createDepositLog = (blockNumber, blockHash) => ({
+  address: pool.address,
+  blockHash,
+  blockNumber,
+  data: abi.encodeParameters(['uint256', 'uint256'], ['1', '2']),
+  logIndex: 0,
+  topics: [
+    abi.encodeEventSignature('Deposit(address,uint256,uint256)'),
+    abi.encodeParameter('address', owner)
+  ],
+  transactionHash: `0x${blockNumber}`
+})
+
+// Creates a fake web3 instance, without subscriptions support, over a fake
+// chain. The polls wait for the next change of the chain.
+const createWeb3 = function (chain) {
+  const getPastLogs = ({ fromBlock, toBlock }) =>
+    Promise.resolve(
+      chain.logs.filter(
+        log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+      )
+    )
+  return {
+    currentProvider: {},
+    eth: {
+      abi,
+      getBlockNumber: () =>
+        new Promise(function (resolve) {
+          chain.next = () => resolve(chain.blockNumber)
+        }),
+      getPastLogs
+    }
+  }
+}
+
+// Updates the fake chain and waits for the poll to complete.
+const advance = function (chain, blockNumber, logs) {
+  Object.assign(chain, { blockNumber, logs })
+  chain.next()
+  return new Promise(resolve => setTimeout(resolve, 20))
+}
+
+const subscribe = function (chain, options) {
+  const contractsPromise = Promise.resolve({ pools: [pool] })
+  return createSubscriptions(
+    contractsPromise,
+    {},
+    { web3: createWeb3(chain) }
+  ).subscribe({ events: ['Deposit'], pollingInterval: 0, ...options })
+}
+
+describe('Subscriptions', function () {
+  it('should emit the events once and the ones removed by reorgs', function () {
+    const chain = { blockNumber: 1, logs: [] }
+    const { emitter, unsubscribe } = subscribe(chain)
+    const emitted = []
+    emitter.on('event', event => emitted.push(['event', event]))
+    emitter.on('removed', event => emitted.push(['removed', event]))
+    return new Promise(resolve => setTimeout(resolve, 20))
+      .then(() => advance(chain, 1, []))
+      .then(() => advance(chain, 3, [createDepositLog(2, '0x02')]))
+      .then(() => advance(chain, 4, [createDepositLog(2, '0x02')]))
+      .then(() => advance(chain, 5, [createDepositLog(3, '0x03')]))
+      .then(function () {
+        unsubscribe()
+        emitted
+          .map(([type, event]) => [type, event.blockNumber])
+          .should.deep.equal([
+            ['event', 2],
+            ['removed', 2],
+            ['event', 3]
+          ])
+        emitted[0][1].should.include({
+          address: pool.address,
+          amount: '2',
+          event: 'Deposit',
+          owner,
+          pool: pool.name,
+          shares: '1'
+        })
+        return null
+      })
+  })
+
+  it('should skip the events of other addresses', function () {
+    const chain = { blockNumber: 1, logs: [] }
+    const { emitter, unsubscribe } = subscribe(chain, {
+      address: '0x0000000000000000000000000000000000000003'
+    })
+    const emitted = []
+    emitter.on('event', event => emitted.push(event))
+    return new Promise(resolve => setTimeout(resolve, 20))
+      .then(() => advance(chain, 1, []))
+      .then(() => advance(chain, 3, [createDepositLog(2, '0x02')]))
+      .then(function () {
+        unsubscribe()
+        emitted.should.have.lengthOf(0)
+        return null
+      })
+  })
+
+  it('should reject unknown events', function () {
+    ;(() => subscribe({}, { events: ['Foo'] })).should.throw(
+      'Unknown events Foo'
+    )
+  })
+})